@@ -0,0 +1,135 @@
+// application-lifecycle.js - Application states and the transitions allowed between them
+const EventEmitter = require('events');
+
+/**
+ *   draft             imported or created without portal credentials; never checked
+ *   active            checked on schedule
+ *   paused            stopped by the owner
+ *   slot_found        matching slots on offer at the last check; still checked
+ *   awaiting_approval booking form filled and held for the owner's approval
+ *   booked            appointment confirmed (terminal)
+ *   failed            a booking was submitted but not confirmed; needs a look before resuming
+ *   expired           latest_date has passed without a booking
+ */
+const STATES = ['draft', 'active', 'paused', 'slot_found', 'awaiting_approval', 'booked', 'failed', 'expired'];
+
+const TRANSITIONS = {
+    draft: ['active'],
+    active: ['paused', 'slot_found', 'expired'],
+    paused: ['active', 'expired'],
+    slot_found: ['active', 'paused', 'awaiting_approval', 'booked', 'failed', 'expired'],
+    awaiting_approval: ['active', 'booked', 'failed'],
+    booked: [],
+    failed: ['active'],
+    expired: ['active']
+};
+
+// What getActiveApplications returns and the monitor checks
+const MONITORED_STATES = ['active', 'slot_found'];
+
+// Past their latest_date these stop being checked
+const EXPIRABLE_STATES = ['active', 'paused', 'slot_found'];
+
+class TransitionError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'TransitionError';
+        this.status = status;
+    }
+}
+
+function today() {
+    return new Date().toISOString().substring(0, 10);
+}
+
+// Emits 'transition' ({ application, from, to, reason }) after every status change
+class ApplicationLifecycle extends EventEmitter {
+    constructor(database) {
+        super();
+        this.db = database;
+    }
+
+    static canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Moves the application to `to` and records it in the activity log.
+     * Throws TransitionError when the move is not allowed from the current
+     * status, or when someone else changed the status first.
+     */
+    async transition(application, to, reason, { result = null } = {}) {
+        const from = application.status;
+        if (!STATES.includes(to)) {
+            throw new TransitionError(`Unknown status "${to}"`, 400);
+        }
+        if (from === to) {
+            throw new TransitionError(`Application is already ${to}`);
+        }
+        if (!ApplicationLifecycle.canTransition(from, to)) {
+            throw new TransitionError(`Application is ${from} and cannot become ${to}`);
+        }
+
+        const changes = await this.db.transitionApplicationStatus(application.id, from, to, { result });
+        if (changes === 0) {
+            throw new TransitionError(`Application is no longer ${from}`);
+        }
+
+        application.status = to;
+        await this.db.logActivity(application.id, application.country, 'STATUS_CHANGED',
+            `${from} → ${to}${reason ? `: ${reason}` : ''}`);
+        this.emit('transition', { application, from, to, reason });
+        return to;
+    }
+
+    async pause(application, user) {
+        return this.transition(application, 'paused', `paused by ${user.username}`);
+    }
+
+    // Back to monitoring from draft, paused, failed or expired
+    async resume(application, user) {
+        if (MONITORED_STATES.includes(application.status)) {
+            throw new TransitionError(`Application is already ${application.status}`);
+        }
+        if (!application.site_password) {
+            throw new TransitionError('Application needs a portal password before it can be monitored');
+        }
+        if (application.latest_date && application.latest_date < today()) {
+            throw new TransitionError(`Latest acceptable date ${application.latest_date} has passed; change it first`);
+        }
+        return this.transition(application, 'active', `resumed by ${user.username}`);
+    }
+
+    // Resolves to the applications that expired
+    async expireOutdated() {
+        const outdated = await this.db.getApplicationsPastLatestDate(today(), EXPIRABLE_STATES);
+        const expired = [];
+
+        for (const application of outdated) {
+            try {
+                await this.transition(application, 'expired', `latest acceptable date ${application.latest_date} has passed`);
+                expired.push(application);
+            } catch (error) {
+                if (!(error instanceof TransitionError)) throw error;
+            }
+        }
+        return expired;
+    }
+
+    // Held booking pages do not survive a restart, so their applications go back to monitoring
+    async recoverInterrupted() {
+        const waiting = await this.db.getApplicationsByStatus('awaiting_approval');
+        for (const application of waiting) {
+            await this.transition(application, 'active', 'booking approval interrupted by a restart');
+        }
+        return waiting.length;
+    }
+}
+
+module.exports = {
+    ApplicationLifecycle,
+    TransitionError,
+    STATES,
+    TRANSITIONS,
+    MONITORED_STATES
+};
@@ -0,0 +1,249 @@
+// artifacts.js - Evidence from portal pages (screenshot, sanitized HTML, URL, console errors) with retention
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SENSITIVE_FIELDS, REDACTED } = require('./field-crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'artifacts' });
+
+const RUN_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const CAPTURE_TIMEOUT_MS = 15000;
+const MAX_CONSOLE_ERRORS = 20;
+
+const FAILURE_REASONS = ['login_failed', 'check_failed', 'booking_failed'];
+
+// artifacts.created_at format (UTC)
+function sqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No response within ${ms}ms`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs in the page: a copy of the document without scripts, frames or event
+ * handlers, with the form values as typed and hidden or password values masked.
+ */
+function snapshotDocument(redacted) {
+    const root = document.documentElement.cloneNode(true);
+    const liveFields = document.querySelectorAll('input, textarea, select');
+    root.querySelectorAll('input, textarea, select').forEach((field, i) => {
+        const live = liveFields[i];
+        if (!live) return;
+        const masked = ['password', 'hidden'].includes((live.type || '').toLowerCase());
+        if (field.tagName === 'SELECT') {
+            Array.from(field.options).forEach((option, j) => option.toggleAttribute('selected', live.options[j] && live.options[j].selected));
+        } else if (field.tagName === 'TEXTAREA') {
+            field.textContent = masked ? redacted : live.value;
+        } else if (live.value) {
+            field.setAttribute('value', masked ? redacted : live.value);
+        }
+    });
+
+    root.querySelectorAll('script, noscript, iframe, object, embed').forEach(element => element.remove());
+    root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes)
+            .filter(attribute => /^on/i.test(attribute.name))
+            .forEach(attribute => element.removeAttribute(attribute.name));
+    });
+    return `<!DOCTYPE html>\n${root.outerHTML}`;
+}
+
+/**
+ * Each artifact is a directory of files under `directory` plus a row in the
+ * artifacts table. Failures are captured when onFailure is set, slot
+ * detections when onSlots is; a capture never throws. prune() drops artifacts
+ * older than retentionDays, of deleted applications, and the oldest ones past
+ * maxTotalMb.
+ */
+class ArtifactStore {
+    constructor(database, { directory = './artifacts', onFailure = true, onSlots = false, retentionDays = 7, maxTotalMb = 500 } = {}) {
+        this.db = database;
+        this.directory = path.resolve(directory);
+        this.onFailure = onFailure;
+        this.onSlots = onSlots;
+        this.retentionDays = retentionDays;
+        this.maxTotalBytes = maxTotalMb * 1024 * 1024;
+        this.consoleErrors = new WeakMap(); // page -> recent console errors
+        this.timer = null;
+    }
+
+    // Options from the artifacts section of config.js
+    static fromConfig(database, config) {
+        return new ArtifactStore(database, {
+            directory: config.artifacts.directory,
+            onFailure: config.artifacts.on_failure,
+            onSlots: config.artifacts.on_slots,
+            retentionDays: config.artifacts.retention_days,
+            maxTotalMb: config.artifacts.max_total_mb
+        });
+    }
+
+    shouldCapture(reason) {
+        return reason === 'slots_found' ? this.onSlots : this.onFailure && FAILURE_REASONS.includes(reason);
+    }
+
+    // Call once per page, before it navigates, so its console errors can go into an artifact
+    watch(page) {
+        const errors = [];
+        const remember = (message) => {
+            errors.push({ at: new Date().toISOString(), message: String(message).substring(0, 500) });
+            if (errors.length > MAX_CONSOLE_ERRORS) errors.shift();
+        };
+
+        this.consoleErrors.set(page, errors);
+        page.on('console', (message) => {
+            if (message.type() === 'error') remember(message.text());
+        });
+        page.on('pageerror', error => remember(error.message));
+        page.on('requestfailed', (request) => {
+            const failure = request.failure();
+            // Resources the monitor blocks on purpose are not errors
+            if (failure && failure.errorText !== 'net::ERR_FAILED') remember(`${failure.errorText} ${request.url()}`);
+        });
+    }
+
+    /**
+     * Saves what `page` shows for `application`. reason is slots_found or one
+     * of login_failed, check_failed, booking_failed. Resolves to the artifact
+     * id, or null when capture is off for that reason or nothing could be saved.
+     */
+    async capture(page, application, reason) {
+        if (!page || !this.shouldCapture(reason)) {
+            return null;
+        }
+
+        const name = `${sqlTimestamp(new Date()).replace(/[-: ]/g, '')}-${application.country}-${application.id}-${crypto.randomBytes(3).toString('hex')}`;
+        const folder = path.join(this.directory, name);
+
+        try {
+            fs.mkdirSync(folder, { recursive: true });
+            const artifact = { screenshotFile: null, htmlFile: null, url: null, title: null, sizeBytes: 0 };
+
+            try {
+                artifact.url = page.url();
+                artifact.title = await withTimeout(page.title(), CAPTURE_TIMEOUT_MS);
+            } catch (error) {
+                log.warn('⚠️ Could not read page title', { error: error.message });
+            }
+
+            try {
+                const screenshot = await withTimeout(page.screenshot({ fullPage: true, type: 'png' }), CAPTURE_TIMEOUT_MS);
+                fs.writeFileSync(path.join(folder, 'screenshot.png'), screenshot);
+                artifact.screenshotFile = 'screenshot.png';
+                artifact.sizeBytes += screenshot.length;
+            } catch (error) {
+                log.warn('⚠️ Could not take screenshot', { error: error.message });
+            }
+
+            try {
+                const html = this.redactSecrets(await withTimeout(page.evaluate(snapshotDocument, REDACTED), CAPTURE_TIMEOUT_MS), application);
+                fs.writeFileSync(path.join(folder, 'page.html'), html);
+                artifact.htmlFile = 'page.html';
+                artifact.sizeBytes += Buffer.byteLength(html);
+            } catch (error) {
+                log.warn('⚠️ Could not save page HTML', { error: error.message });
+            }
+
+            if (!artifact.screenshotFile && !artifact.htmlFile) {
+                fs.rmSync(folder, { recursive: true, force: true });
+                return null;
+            }
+
+            const id = await this.db.createArtifact({
+                applicationId: application.id,
+                country: application.country,
+                reason,
+                directory: name,
+                ...artifact,
+                consoleErrors: this.consoleErrors.get(page) || []
+            });
+            log.info(`📸 Saved ${reason.replace(/_/g, ' ')} evidence #${id}`, { applicationId: application.id, artifactId: id });
+            return id;
+
+        } catch (error) {
+            log.error('❌ Could not capture artifact', { applicationId: application.id, reason, error });
+            fs.rmSync(folder, { recursive: true, force: true });
+            return null;
+        }
+    }
+
+    // The applicant's own secrets can appear as page text (a confirmation page echoing the passport number)
+    redactSecrets(html, application) {
+        const decrypted = this.db.cipher.decryptFields(application);
+        return SENSITIVE_FIELDS
+            .map(field => decrypted[field])
+            .filter(value => typeof value === 'string' && value.length >= 4)
+            .reduce((text, secret) => text.split(secret).join(REDACTED), html);
+    }
+
+    // Absolute path of an artifact's 'screenshot' or 'html' file, or null when it has none
+    resolveFile(artifact, kind) {
+        const file = kind === 'screenshot' ? artifact.screenshot_file : artifact.html_file;
+        if (!file || path.basename(artifact.directory) !== artifact.directory) {
+            return null;
+        }
+        const absolute = path.join(this.directory, artifact.directory, path.basename(file));
+        return fs.existsSync(absolute) ? absolute : null;
+    }
+
+    // Resolves to the number of artifacts removed
+    async prune(now = new Date()) {
+        const cutoff = sqlTimestamp(new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000));
+        const artifacts = await this.db.getArtifactsForRetention(); // newest first
+
+        let totalBytes = 0;
+        const expired = artifacts.filter((artifact) => {
+            totalBytes += artifact.size_bytes || 0;
+            return artifact.created_at < cutoff || artifact.orphaned ||
+                (this.maxTotalBytes > 0 && totalBytes > this.maxTotalBytes);
+        });
+        if (expired.length === 0) {
+            return 0;
+        }
+
+        // Rows first: if that fails every row still has its files
+        await this.db.deleteArtifacts(expired.map(artifact => artifact.id));
+        for (const artifact of expired) {
+            // Directory names come from capture(); anything else is left alone
+            if (artifact.directory && path.basename(artifact.directory) === artifact.directory) {
+                fs.rmSync(path.join(this.directory, artifact.directory), { recursive: true, force: true });
+            }
+        }
+
+        log.info(`🧹 Removed ${expired.length} artifact(s)`, { retentionDays: this.retentionDays });
+        return expired.length;
+    }
+
+    // Prunes now, then every few hours
+    start() {
+        const tick = async () => {
+            try {
+                await this.prune();
+            } catch (error) {
+                log.error('❌ Artifact retention failed', { error });
+            }
+        };
+
+        tick();
+        this.timer = setInterval(tick, RUN_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = ArtifactStore;
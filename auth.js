@@ -0,0 +1,166 @@
+// auth.js - User accounts, password hashing and token sessions
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+const log = logger.child({ module: 'auth' });
+
+const ROLES = ['admin', 'user'];
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+class AuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+class AuthService {
+    constructor(database) {
+        this.db = database;
+    }
+
+    // Stored as scrypt$<salt>$<hash>
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    static async verifyPassword(password, stored) {
+        const [scheme, salt, expected] = String(stored).split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) {
+            return false;
+        }
+
+        const expectedHash = Buffer.from(expected, 'hex');
+        if (expectedHash.length !== KEY_LENGTH) {
+            return false;
+        }
+
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return crypto.timingSafeEqual(hash, expectedHash);
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static publicUser(user) {
+        return { id: user.id, username: user.username, role: user.role };
+    }
+
+    /**
+     * The very first account becomes the admin and takes over applications
+     * that were created before accounts existed. Without an `actor` (the
+     * signed-in admin adding the account) only that first account can be made.
+     */
+    async register({ username, password, role = 'user' }, actor = null) {
+        username = String(username || '').trim().toLowerCase();
+
+        if (!/^[a-z0-9_.-]{3,32}$/.test(username)) {
+            throw new AuthError('Username must be 3-32 characters (letters, digits, _ . -)');
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new AuthError('Password must be at least 8 characters');
+        }
+        if (!ROLES.includes(role)) {
+            throw new AuthError(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (await this.db.getUserByUsername(username)) {
+            throw new AuthError('Username already taken', 409);
+        }
+
+        const passwordHash = await AuthService.hashPassword(password);
+
+        // Check and insert are one statement, so two first registrations cannot both become admin
+        const adminId = await this.db.createFirstAdmin(username, passwordHash);
+        if (adminId) {
+            const claimed = await this.db.assignUnownedApplications(adminId);
+            log.info(`👑 Admin account "${username}" created (${claimed} existing application(s) assigned)`, { userId: adminId });
+            return { id: adminId, username, role: 'admin' };
+        }
+        if (!actor || actor.role !== 'admin') {
+            throw new AuthError('Setup is already complete; ask an admin to create your account', 403);
+        }
+
+        const id = await this.db.createUser(username, passwordHash, role);
+        return { id, username, role };
+    }
+
+    async login(username, password) {
+        const user = await this.db.getUserByUsername(String(username || '').trim().toLowerCase());
+
+        if (!user || !(await AuthService.verifyPassword(String(password || ''), user.password_hash))) {
+            throw new AuthError('Invalid username or password', 401);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+        await this.db.createSession(AuthService.hashToken(token), user.id, expiresAt);
+
+        return { token, expiresAt, user: AuthService.publicUser(user) };
+    }
+
+    // The session's user, or null once the session is gone or expired
+    async userForToken(token) {
+        return token ? (await this.db.getSessionUser(AuthService.hashToken(token))) || null : null;
+    }
+
+    async logout(token) {
+        await this.db.deleteSession(AuthService.hashToken(token));
+    }
+
+    // EventSource cannot send headers, so streaming routes may opt into ?access_token=
+    static tokenFrom(req, allowQueryToken = false) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.substring(7).trim();
+        }
+        return allowQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+    }
+
+    // Express middleware: sets req.user or answers 401
+    authenticate(options = {}) {
+        return async (req, res, next) => {
+            try {
+                const token = AuthService.tokenFrom(req, options.allowQueryToken === true);
+                const user = await this.userForToken(token);
+
+                if (!user) {
+                    return res.status(401).json({ success: false, error: 'Authentication required' });
+                }
+
+                req.user = user;
+                req.token = token;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    requireAdmin() {
+        return (req, res, next) => {
+            if (!req.user || req.user.role !== 'admin') {
+                return res.status(403).json({ success: false, error: 'Admin role required' });
+            }
+            next();
+        };
+    }
+}
+
+// Owner filter for database queries: admins see everything
+function ownerScope(user) {
+    return user.role === 'admin' ? null : user.id;
+}
+
+module.exports = {
+    AuthService,
+    AuthError,
+    ROLES,
+    ownerScope
+};
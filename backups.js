@@ -0,0 +1,192 @@
+// backups.js - Scheduled online backups of the SQLite database, retention and restore
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'backups' });
+
+// visa_monitor-2026-10-18T17-02-58Z.db
+function timestamp(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+}
+
+class BackupManager {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.directory = path.resolve(options.directory || './backups');
+        this.intervalHours = options.intervalHours === undefined ? 24 : options.intervalHours;
+        this.retention = options.retention || 7;
+        this.prefix = path.basename(database.dbPath, path.extname(database.dbPath));
+        this.timer = null;
+        this.nextRunAt = null;
+        this.running = Promise.resolve();
+    }
+
+    // Options from the database section of config.js
+    static fromConfig(database, config) {
+        return new BackupManager(database, {
+            directory: config.database.backup_directory,
+            intervalHours: config.database.backup_interval_hours,
+            retention: config.database.backup_retention
+        });
+    }
+
+    // One backup at a time, so a manual request during a scheduled one gets its own file
+    create(reason = 'manual') {
+        const run = this.running.catch(() => {}).then(() => this.write(reason));
+        this.running = run;
+        return run;
+    }
+
+    async write(reason) {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const stamp = timestamp(new Date());
+        let file = path.join(this.directory, `${this.prefix}-${stamp}.db`);
+        for (let n = 2; fs.existsSync(file); n++) {
+            file = path.join(this.directory, `${this.prefix}-${stamp}-${n}.db`);
+        }
+        await this.db.backup(file);
+
+        const backup = this.describe(path.basename(file));
+        const removed = this.prune();
+
+        log.info(`💾 Database backup created (${reason}): ${backup.name} (${Math.round(backup.size / 1024)} KB)`, { reason, sizeBytes: backup.size });
+        await this.db.logActivity(null, 'system', 'BACKUP_CREATED',
+            `${reason} backup ${backup.name}${removed.length > 0 ? `, removed ${removed.length} old backup(s)` : ''}`);
+        return backup;
+    }
+
+    describe(name) {
+        const stat = fs.statSync(path.join(this.directory, name));
+        return { name, size: stat.size, createdAt: stat.mtime };
+    }
+
+    // Backups of this database, newest first
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(name => name.startsWith(`${this.prefix}-`) && name.endsWith('.db'))
+            .map(name => this.describe(name))
+            .sort((a, b) => b.createdAt - a.createdAt || b.name.localeCompare(a.name));
+    }
+
+    // Keeps the newest `retention` backups
+    prune() {
+        const removed = this.list().slice(this.retention);
+        for (const backup of removed) {
+            fs.unlinkSync(path.join(this.directory, backup.name));
+        }
+        return removed.map(backup => backup.name);
+    }
+
+    /**
+     * Backs up every intervalHours, counting from the newest existing backup
+     * so restarts neither skip nor repeat a backup. 0 disables the schedule.
+     */
+    start() {
+        if (!(this.intervalHours > 0)) {
+            log.info('💾 Scheduled backups disabled (database.backup_interval_hours = 0)');
+            return;
+        }
+
+        const intervalMs = this.intervalHours * 60 * 60 * 1000;
+        const [latest] = this.list();
+        const dueAt = latest ? latest.createdAt.getTime() + intervalMs : Date.now();
+        this.schedule(Math.max(0, dueAt - Date.now()));
+        log.info(`💾 Backups every ${this.intervalHours}h to ${this.directory}, keeping ${this.retention}`, { nextRunAt: this.nextRunAt });
+    }
+
+    schedule(delayMs) {
+        this.nextRunAt = new Date(Date.now() + delayMs);
+        this.timer = setTimeout(async () => {
+            try {
+                await this.create('scheduled');
+            } catch (error) {
+                log.error('❌ Scheduled backup failed', { error });
+                await this.db.logActivity(null, 'system', 'BACKUP_FAILED', error.message).catch(() => {});
+            }
+            this.schedule(this.intervalHours * 60 * 60 * 1000);
+        }, delayMs);
+
+        // Never keeps the process alive on its own
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.nextRunAt = null;
+        }
+    }
+
+    /**
+     * Opens a backup read-only and checks it is an intact database with this
+     * app's schema. Resolves to { version, applications }; rejects with the reason otherwise.
+     */
+    static verify(file) {
+        return new Promise((resolve, reject) => {
+            if (!fs.existsSync(file)) {
+                reject(new Error(`Backup not found: ${file}`));
+                return;
+            }
+
+            const db = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (err) => {
+                if (err) {
+                    reject(new Error(`Cannot open ${file}: ${err.message}`));
+                }
+            });
+            const fail = (message) => db.close(() => reject(new Error(message)));
+
+            db.get('PRAGMA integrity_check', (err, row) => {
+                if (err) return fail(`Not a SQLite database: ${err.message}`);
+                if (row.integrity_check !== 'ok') return fail(`Integrity check failed: ${row.integrity_check}`);
+
+                db.get('SELECT MAX(version) AS version FROM schema_version', (err, versionRow) => {
+                    if (err) return fail('Not a visa monitor database (no schema_version table)');
+
+                    db.get('SELECT COUNT(*) AS applications FROM applications', (err, countRow) => {
+                        if (err) return fail(`Applications table unreadable: ${err.message}`);
+                        db.close(() => resolve({ version: versionRow.version || 0, applications: countRow.applications }));
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Replaces dbPath with a verified backup. The current file is kept as
+     * <db>.pre-restore-<time>; the server must be stopped while this runs.
+     */
+    static async restore(file, dbPath) {
+        const info = await BackupManager.verify(file);
+        const target = path.resolve(dbPath);
+        let previous = null;
+
+        if (fs.existsSync(target)) {
+            previous = `${target}.pre-restore-${timestamp(new Date())}`;
+            fs.copyFileSync(target, previous);
+        }
+
+        // Copy next to the target first so the final rename is atomic
+        const staging = `${target}.restoring`;
+        fs.copyFileSync(file, staging);
+        fs.renameSync(staging, target);
+
+        // A journal left by the replaced database would be replayed onto the restored one
+        for (const suffix of ['-journal', '-wal', '-shm']) {
+            if (fs.existsSync(target + suffix)) {
+                fs.unlinkSync(target + suffix);
+            }
+        }
+
+        return { ...info, previous };
+    }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,393 @@
+// browser-pool.js - Shared browsers for the monitor: queued checkout, crash recovery and recycling
+const fs = require('fs');
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'browser-pool' });
+
+const RESPONSE_TIMEOUT_MS = 5000;
+const LAUNCH_GAP_MS = 2000;
+
+class BrowserPoolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BrowserPoolError';
+    }
+}
+
+// Parent pid -> child pids and pid -> resident KB, from /proc; null where there is no /proc
+function readProcessTable() {
+    if (process.platform !== 'linux') return null;
+
+    const children = new Map();
+    const residentKb = new Map();
+    for (const entry of fs.readdirSync('/proc')) {
+        if (!/^\d+$/.test(entry)) continue;
+        try {
+            const status = fs.readFileSync(`/proc/${entry}/status`, 'utf8');
+            const parent = Number((status.match(/^PPid:\s+(\d+)/m) || [])[1]);
+            residentKb.set(Number(entry), Number((status.match(/^VmRSS:\s+(\d+)/m) || [])[1] || 0));
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(Number(entry));
+        } catch (error) {
+            // Exited while we were reading
+        }
+    }
+    return { children, residentKb };
+}
+
+// Chrome keeps its renderers in child processes, so a browser's memory is its whole process tree
+function processTreeMemoryMb(table, pid) {
+    if (!table || !pid) return null;
+
+    let totalKb = 0;
+    const pending = [pid];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        totalKb += table.residentKb.get(current) || 0;
+        pending.push(...(table.children.get(current) || []));
+    }
+    return Math.round(totalKb / 1024);
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No response within ${ms}ms`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * A fixed number of browser slots. acquire() hands out an idle browser or
+ * queues the caller until one is released; a browser is never shared.
+ * Crashed browsers are relaunched, and browsers that served
+ * recycleAfterPages pages or grew past maxMemoryMb are replaced on release
+ * or at the next health check.
+ * Emits 'crashed' ({ index }) and 'recycled' ({ index, reason }).
+ */
+class BrowserPool extends EventEmitter {
+    // launch(index) resolves to a puppeteer Browser
+    constructor(launch, options = {}) {
+        super();
+        this.launch = launch;
+        this.size = options.size || 1;
+        this.recycleAfterPages = options.recycleAfterPages || 50;
+        this.maxMemoryMb = options.maxMemoryMb || 0;
+        this.healthCheckMs = options.healthCheckMs || 60000;
+        this.acquireTimeoutMs = options.acquireTimeoutMs || 120000;
+
+        this.instances = [];
+        this.waiters = [];
+        this.running = false;
+        this.timer = null;
+        this.lastHealthCheck = null;
+        this.counters = { launched: 0, launchFailures: 0, crashed: 0, recycled: 0 };
+        this.consecutiveLaunchFailures = 0;
+    }
+
+    // Options from the browser section of config.js
+    static fromConfig(launch, config) {
+        return new BrowserPool(launch, {
+            size: config.browser.pool_size,
+            recycleAfterPages: config.browser.recycle_after_pages,
+            maxMemoryMb: config.browser.max_memory_mb,
+            healthCheckMs: config.browser.health_check_seconds * 1000,
+            acquireTimeoutMs: config.browser.acquire_timeout_seconds * 1000
+        });
+    }
+
+    // Launches every slot; resolves to how many browsers started
+    async start() {
+        log.info(`🌐 Initializing browser pool (${this.size} browser(s))...`, { size: this.size });
+        this.running = true;
+        this.consecutiveLaunchFailures = 0;
+
+        for (let index = 0; index < this.size; index++) {
+            const instance = { index, browser: null, inUse: false, lastUsed: 0, pages: 0, held: 0, launchedAt: null, memoryMb: null };
+            this.instances.push(instance);
+            if (await this.spawn(instance)) {
+                log.info(`✅ Browser ${index + 1} ready`, { browser: index + 1 });
+            }
+
+            // Small delay between browser creation
+            if (index < this.size - 1) {
+                await new Promise(resolve => setTimeout(resolve, LAUNCH_GAP_MS));
+            }
+        }
+
+        this.timer = setInterval(() => {
+            this.checkHealth().catch(error => log.error('❌ Browser health check failed', { error }));
+        }, this.healthCheckMs);
+        this.timer.unref();
+
+        const ready = this.instances.filter(instance => instance.browser).length;
+        log.info(`🎉 Browser pool initialized with ${ready} browser(s)`, { ready });
+        return ready;
+    }
+
+    async spawn(instance) {
+        let browser;
+        try {
+            browser = await this.launch(instance.index);
+        } catch (error) {
+            instance.browser = null;
+            this.counters.launchFailures++;
+            this.consecutiveLaunchFailures++;
+            log.error(`❌ Failed to create browser ${instance.index + 1}`, { browser: instance.index + 1, error });
+            return false;
+        }
+
+        // Stopped while launching
+        if (!this.running) {
+            await browser.close().catch(() => {});
+            return false;
+        }
+
+        Object.assign(instance, { browser, pages: 0, held: 0, launchedAt: new Date(), memoryMb: null });
+        browser.on('targetcreated', (target) => {
+            if (target.type() === 'page') instance.pages++;
+        });
+        browser.once('disconnected', () => this.handleDisconnect(instance, browser));
+
+        this.counters.launched++;
+        this.consecutiveLaunchFailures = 0;
+        return true;
+    }
+
+    // Only unexpected disconnects get here: browsers closed on purpose are detached first
+    handleDisconnect(instance, browser) {
+        if (instance.browser !== browser) return;
+
+        instance.browser = null;
+        this.counters.crashed++;
+        log.warn(`💥 Browser ${instance.index + 1} disconnected`, { browser: instance.index + 1 });
+        this.emit('crashed', { index: instance.index });
+
+        // A busy slot is relaunched when its holder releases it
+        if (this.running && !instance.inUse) {
+            this.refill(instance).catch(error => log.error('❌ Could not relaunch browser', { browser: instance.index + 1, error }));
+        }
+    }
+
+    async refill(instance) {
+        instance.inUse = true;
+        try {
+            await this.recycle(instance, 'disconnected');
+        } finally {
+            instance.inUse = false;
+            this.handOff(instance);
+        }
+    }
+
+    /**
+     * Resolves to a pool entry ({ browser, index, ... }) reserved for the
+     * caller until release(). Waits in line when every browser is busy and
+     * rejects after acquireTimeoutMs or when the pool stops.
+     */
+    acquire() {
+        if (!this.running) {
+            return Promise.reject(new BrowserPoolError('Browser pool is not running'));
+        }
+
+        const idle = this.instances
+            .filter(instance => !instance.inUse && instance.browser && instance.browser.connected)
+            .sort((a, b) => a.lastUsed - b.lastUsed)[0];
+        if (idle && this.waiters.length === 0) {
+            return Promise.resolve(this.checkout(idle));
+        }
+
+        log.debug('⏳ No available browsers, waiting...', { waiting: this.waiters.length + 1 });
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(other => other !== waiter);
+                reject(new BrowserPoolError(`No browser became available within ${Math.round(this.acquireTimeoutMs / 1000)}s`));
+            }, this.acquireTimeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    checkout(instance) {
+        instance.inUse = true;
+        instance.lastUsed = Date.now();
+        return instance;
+    }
+
+    // Returns a browser, replacing it first if it crashed or is due for recycling
+    async release(instance) {
+        if (!this.running) {
+            instance.inUse = false;
+            return;
+        }
+
+        try {
+            const reason = this.recycleReason(instance);
+            if (reason) {
+                await this.recycle(instance, reason);
+            }
+        } finally {
+            instance.inUse = false;
+            this.handOff(instance);
+        }
+    }
+
+    // Gives a free, working browser to the longest waiting caller
+    handOff(instance) {
+        if (instance.inUse || !instance.browser || !instance.browser.connected || this.waiters.length === 0) {
+            return;
+        }
+        const waiter = this.waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.resolve(this.checkout(instance));
+    }
+
+    /**
+     * Marks a page of `browser` as kept open beyond its checkout (a booking
+     * awaiting approval), so the browser is not recycled under it.
+     */
+    hold(browser) {
+        const instance = this.instances.find(candidate => candidate.browser === browser);
+        if (instance) instance.held++;
+    }
+
+    unhold(browser) {
+        const instance = this.instances.find(candidate => candidate.browser === browser);
+        if (instance && instance.held > 0) instance.held--;
+    }
+
+    recycleReason(instance) {
+        if (!instance.browser || !instance.browser.connected) {
+            return 'disconnected';
+        }
+        if (instance.held > 0) {
+            return null;
+        }
+        if (instance.pages >= this.recycleAfterPages) {
+            return `served ${instance.pages} pages`;
+        }
+        if (this.maxMemoryMb > 0 && instance.memoryMb !== null && instance.memoryMb > this.maxMemoryMb) {
+            return `using ${instance.memoryMb} MB`;
+        }
+        return null;
+    }
+
+    // Closes the slot's browser (if any) and launches a fresh one
+    async recycle(instance, reason) {
+        const browser = instance.browser;
+        instance.browser = null;
+
+        if (browser) {
+            this.counters.recycled++;
+            log.info(`♻️ Recycling browser ${instance.index + 1}`, { browser: instance.index + 1, reason });
+            this.emit('recycled', { index: instance.index, reason });
+            await browser.close().catch(() => {});
+        }
+        return this.spawn(instance);
+    }
+
+    /**
+     * Measures every browser's memory, then makes sure each idle one still
+     * answers, relaunching empty slots and recycling what is due.
+     * Busy browsers are looked at when they are released.
+     */
+    async checkHealth() {
+        const table = readProcessTable();
+        this.lastHealthCheck = new Date();
+
+        for (const instance of this.instances) {
+            if (instance.browser && instance.browser.process()) {
+                instance.memoryMb = processTreeMemoryMb(table, instance.browser.process().pid);
+            }
+            if (instance.inUse || !this.running) continue;
+
+            instance.inUse = true;
+            try {
+                let reason = this.recycleReason(instance);
+                if (!reason && instance.held === 0 && !(await this.responds(instance.browser))) {
+                    reason = 'not responding';
+                }
+                if (reason) {
+                    await this.recycle(instance, reason);
+                }
+            } finally {
+                instance.inUse = false;
+                this.handOff(instance);
+            }
+        }
+    }
+
+    async responds(browser) {
+        try {
+            await withTimeout(browser.version(), RESPONSE_TIMEOUT_MS);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // No working browser is left and relaunching did not help
+    isExhausted() {
+        return this.running && this.instances.length > 0 && this.consecutiveLaunchFailures > 0 &&
+            this.instances.every(instance => !instance.browser || !instance.browser.connected);
+    }
+
+    async stop() {
+        this.running = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        for (const waiter of this.waiters.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new BrowserPoolError('Browser pool stopped'));
+        }
+
+        for (const instance of this.instances) {
+            const browser = instance.browser;
+            instance.browser = null;
+            if (!browser) continue;
+            try {
+                await browser.close();
+                log.info(`✅ Closed browser ${instance.index + 1}`, { browser: instance.index + 1 });
+            } catch (error) {
+                log.error('Error closing browser', { browser: instance.index + 1, error });
+            }
+        }
+        this.instances = [];
+    }
+
+    getHealth() {
+        const connected = this.instances.filter(instance => instance.browser && instance.browser.connected);
+        return {
+            running: this.running,
+            size: this.size,
+            ready: connected.length,
+            busy: this.instances.filter(instance => instance.inUse).length,
+            waiting: this.waiters.length,
+            exhausted: this.isExhausted(),
+            recycleAfterPages: this.recycleAfterPages,
+            maxMemoryMb: this.maxMemoryMb || null,
+            lastHealthCheck: this.lastHealthCheck,
+            ...this.counters,
+            browsers: this.instances.map(instance => ({
+                index: instance.index,
+                connected: connected.includes(instance),
+                inUse: instance.inUse,
+                pages: instance.pages,
+                heldPages: instance.held,
+                memoryMb: instance.memoryMb,
+                launchedAt: instance.launchedAt,
+                lastUsed: instance.lastUsed ? new Date(instance.lastUsed) : null
+            }))
+        };
+    }
+}
+
+module.exports = {
+    BrowserPool,
+    BrowserPoolError
+};
@@ -0,0 +1,191 @@
+// bulk-actions.js - Changes to several applications at once, and cloning one into new applicants
+const { ownerScope } = require('./auth');
+const Database = require('./database');
+const { validateApplication, ValidationError, EDITABLE_FIELDS } = require('./validation');
+const { ApplicationLifecycle, TransitionError } = require('./application-lifecycle');
+
+const BULK_ACTIONS = ['pause', 'resume', 'priority', 'delete'];
+const MAX_BULK_IDS = 100;
+const MAX_CLONES = 20;
+
+// What each clone supplies itself; everything else is copied from the source application
+const APPLICANT_FIELDS = ['first_name', 'last_name', 'passport_number', 'date_of_birth'];
+
+function parseIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        throw new ValidationError({ ids: 'must list at least one application id' });
+    }
+    if (ids.length > MAX_BULK_IDS) {
+        throw new ValidationError({ ids: `must list at most ${MAX_BULK_IDS} applications` });
+    }
+
+    const parsed = ids.map(id => Number(id));
+    if (parsed.some(id => !Number.isInteger(id) || id < 1)) {
+        throw new ValidationError({ ids: 'must contain application ids' });
+    }
+    return Array.from(new Set(parsed));
+}
+
+class BulkActions {
+    constructor(database, lifecycle = new ApplicationLifecycle(database)) {
+        this.db = database;
+        this.lifecycle = lifecycle;
+    }
+
+    /**
+     * Applies one action to every listed application the user may see.
+     * Resolves to { action, updated, skipped: [{ id, reason }], notFound };
+     * an application whose status does not allow the action is skipped, not an error.
+     */
+    async run(action, ids, { priority = null, user }) {
+        if (!BULK_ACTIONS.includes(action)) {
+            throw new ValidationError({ action: `must be one of: ${BULK_ACTIONS.join(', ')}` });
+        }
+        const idList = parseIds(ids);
+
+        let updates = null;
+        if (action === 'priority') {
+            if (priority === null || priority === undefined || priority === '') {
+                throw new ValidationError({ priority: 'is required' });
+            }
+            updates = validateApplication({ priority }, { partial: true });
+        }
+
+        const applications = (await this.db.getApplications(ownerScope(user)))
+            .filter(application => idList.includes(application.id));
+        const found = new Set(applications.map(application => application.id));
+        const result = {
+            action,
+            updated: [],
+            skipped: [],
+            notFound: idList.filter(id => !found.has(id))
+        };
+
+        for (const application of applications) {
+            const reason = await this.apply(action, application, updates, user);
+            if (reason) {
+                result.skipped.push({ id: application.id, reason });
+            } else {
+                result.updated.push(application.id);
+            }
+        }
+        return result;
+    }
+
+    // Resolves to why the application was left alone, or null once changed
+    async apply(action, application, updates, user) {
+        const { id } = application;
+
+        switch (action) {
+            case 'pause':
+            case 'resume':
+                try {
+                    await this.lifecycle[action](application, user);
+                } catch (error) {
+                    if (!(error instanceof TransitionError)) throw error;
+                    return error.message;
+                }
+                return null;
+
+            case 'priority':
+                await this.db.updateApplication(id, updates);
+                return null;
+
+            case 'delete':
+                await this.delete(application, user);
+                return null;
+        }
+    }
+
+    // Also used by DELETE /api/applications/:id, so every deletion leaves the same audit entry
+    async delete(application, user) {
+        const changes = await this.db.deleteApplication(application.id);
+        if (changes > 0) {
+            await this.db.logActivity(null, application.country, 'APPLICATION_DELETED',
+                `${application.first_name} ${application.last_name} (#${application.id}) deleted by ${user.username}`);
+        }
+        return changes;
+    }
+
+    /**
+     * Creates one application per applicant, copying everything but
+     * APPLICANT_FIELDS from the source (address, portal credentials, dates,
+     * notifications...). An applicant may also override any copied field.
+     * All applicants are validated before any is created; errors are keyed
+     * "applicants.<index>.<field>". Resolves to the new ids, or null when
+     * the source is not visible to the user.
+     */
+    async clone(sourceId, applicants, user) {
+        if (!Array.isArray(applicants) || applicants.length === 0) {
+            throw new ValidationError({ applicants: 'must list at least one applicant' });
+        }
+        if (applicants.length > MAX_CLONES) {
+            throw new ValidationError({ applicants: `must list at most ${MAX_CLONES} applicants` });
+        }
+
+        const source = await this.db.getApplicationById(sourceId, ownerScope(user));
+        if (!source) {
+            return null;
+        }
+
+        const shared = {};
+        const plain = this.db.cipher.decryptFields(source);
+        for (const field of EDITABLE_FIELDS) {
+            if (!APPLICANT_FIELDS.includes(field) && plain[field] !== null && plain[field] !== undefined) {
+                shared[field] = plain[field];
+            }
+        }
+
+        // Only the user's own applications count, so a clash never reveals another account's passport
+        const existing = await this.db.getApplicationKeys(ownerScope(user));
+        const errors = {};
+        const prepared = [];
+
+        applicants.forEach((applicant, index) => {
+            if (!applicant || typeof applicant !== 'object' || Array.isArray(applicant)) {
+                errors[`applicants.${index}`] = 'must be an object';
+                return;
+            }
+
+            let values;
+            try {
+                // A webhook URL copied from the source was already allowed; a new one needs an admin
+                values = validateApplication({ ...shared, ...applicant }, {
+                    allowWebhookUrls: user.role === 'admin' || !('notification_channels' in applicant)
+                });
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                for (const [field, message] of Object.entries(error.fields)) {
+                    errors[`applicants.${index}.${field}`] = message;
+                }
+                return;
+            }
+
+            const key = Database.applicationKey(values.country, values.passport_number);
+            if (existing.has(key)) {
+                errors[`applicants.${index}.passport_number`] = `already has an application for ${values.country}`;
+                return;
+            }
+            existing.add(key);
+            prepared.push(values);
+        });
+
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        const ids = [];
+        for (const values of prepared) {
+            // Clones stay with the source's owner, like the rest of the group
+            const id = await this.db.createApplication({ ...values, owner_id: source.owner_id });
+            await this.db.logActivity(id, values.country, 'APPLICATION_CLONED', `Cloned from #${source.id} by ${user.username}`);
+            ids.push(id);
+        }
+        return ids;
+    }
+}
+
+module.exports = {
+    BulkActions,
+    BULK_ACTIONS
+};
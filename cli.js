@@ -0,0 +1,349 @@
+// cli.js - Maintenance commands (node cli.js <command> [--option value])
+const fs = require('fs');
+const path = require('path');
+const Database = require('./database');
+const { loadConfig } = require('./config');
+const { FieldCipher } = require('./field-crypto');
+const { AuthService } = require('./auth');
+const BackupManager = require('./backups');
+const LogRetention = require('./log-retention');
+const { DataTransfer } = require('./data-transfer');
+
+class CommandLine {
+    constructor() {
+        this.commands = {
+            'rotate-key': {
+                description: 'Re-encrypt stored credentials with a new key (--new-key <key> optional)',
+                run: (options) => this.rotateKey(options)
+            },
+            'encrypt-existing': {
+                description: 'Encrypt plaintext rows written before encryption was enabled',
+                run: (options) => this.encryptExisting(options)
+            },
+            'migrate': {
+                description: 'Apply pending database migrations',
+                run: (options) => this.migrate(options)
+            },
+            'migrate-status': {
+                description: 'List database migrations and whether they are applied',
+                run: (options) => this.migrateStatus(options)
+            },
+            'create-user': {
+                description: 'Create a dashboard account (--username <name> --password <pw> [--role admin|user])',
+                run: (options) => this.createUser(options)
+            },
+            'backup': {
+                description: 'Back up the database now into database.backup_directory',
+                run: (options) => this.backup(options)
+            },
+            'backups': {
+                description: 'List database backups, newest first',
+                run: (options) => this.listBackups(options)
+            },
+            'restore': {
+                description: 'Replace the database with a verified backup (--file <name or path>); stop the server first',
+                run: (options) => this.restore(options)
+            },
+            'prune-logs': {
+                description: 'Remove activity logs older than security.log_retention_days (--days <n> overrides)',
+                run: (options) => this.pruneLogs(options)
+            },
+            'export': {
+                description: 'Export applications and history (--out <file> [--format json|csv] [--type applications|logs|slots] ' +
+                    '[--credentials exclude|encrypt|include] [--passphrase <p>])',
+                run: (options) => this.exportData(options)
+            },
+            'import': {
+                description: 'Import an export, skipping passport/country duplicates (--file <file> [--owner <username>] ' +
+                    '[--passphrase <p>] [--dry-run])',
+                run: (options) => this.importData(options)
+            }
+        };
+    }
+
+    parseArgs(argv) {
+        const [command, ...rest] = argv;
+        const options = {};
+
+        for (let i = 0; i < rest.length; i++) {
+            if (rest[i].startsWith('--')) {
+                const key = rest[i].substring(2);
+                const next = rest[i + 1];
+                options[key] = next && !next.startsWith('--') ? rest[++i] : true;
+            }
+        }
+
+        return { command, options };
+    }
+
+    async run(argv) {
+        const { command, options } = this.parseArgs(argv);
+        const entry = this.commands[command];
+
+        if (!entry) {
+            this.printUsage();
+            return command ? 1 : 0;
+        }
+
+        await entry.run(options);
+        return 0;
+    }
+
+    printUsage() {
+        console.log('Usage: node cli.js <command> [--db <path>] [options]\n');
+        for (const [name, entry] of Object.entries(this.commands)) {
+            console.log(`  ${name.padEnd(20)} ${entry.description}`);
+        }
+    }
+
+    async openDatabase(options, cipher = FieldCipher.fromEnvironment(), autoMigrate = true) {
+        const db = new Database(options.db || loadConfig().database.path, { cipher, autoMigrate });
+        await db.ready;
+        return db;
+    }
+
+    async rotateKey(options) {
+        const currentCipher = FieldCipher.fromEnvironment();
+        if (!currentCipher.enabled) {
+            throw new Error('Field encryption is disabled - nothing to rotate');
+        }
+
+        const newKey = options['new-key'] ? String(options['new-key']) : FieldCipher.generateKey();
+        const newCipher = new FieldCipher(newKey, { source: currentCipher.source, keyFile: currentCipher.keyFile });
+
+        if (newCipher.keyId === currentCipher.keyId) {
+            throw new Error('New key is identical to the current key');
+        }
+
+        // Persist the new key before touching rows so it can never be lost
+        const pendingKeyFile = currentCipher.keyFile ? `${currentCipher.keyFile}.next` : null;
+        if (pendingKeyFile) {
+            FieldCipher.writeKeyFile(pendingKeyFile, newKey);
+        }
+
+        const db = await this.openDatabase(options, currentCipher);
+        try {
+            const count = await db.reencryptApplications(newCipher);
+            console.log(`🔑 Re-encrypted ${count} application(s): key ${currentCipher.keyId} → ${newCipher.keyId}`);
+        } catch (error) {
+            if (pendingKeyFile) fs.unlinkSync(pendingKeyFile);
+            throw error;
+        } finally {
+            await db.close();
+        }
+
+        if (pendingKeyFile) {
+            fs.renameSync(currentCipher.keyFile, `${currentCipher.keyFile}.previous`);
+            fs.renameSync(pendingKeyFile, currentCipher.keyFile);
+            console.log(`✅ Key file updated: ${currentCipher.keyFile} (old key kept as .previous)`);
+        } else {
+            console.log('✅ Rows re-encrypted. Set this new key before restarting the server:');
+            console.log(`   VISA_ENCRYPTION_KEY=${newKey}`);
+        }
+    }
+
+    async encryptExisting(options) {
+        const cipher = FieldCipher.fromEnvironment();
+        if (!cipher.enabled) {
+            throw new Error('Field encryption is disabled');
+        }
+
+        const db = await this.openDatabase(options, cipher);
+        try {
+            const count = await db.reencryptApplications(cipher);
+            console.log(`✅ Encrypted sensitive fields for ${count} application(s)`);
+        } finally {
+            await db.close();
+        }
+    }
+
+    async migrate(options) {
+        const db = await this.openDatabase(options, undefined, false);
+        try {
+            const applied = await db.migrator.migrate();
+            const version = await db.migrator.currentVersion();
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s) - schema now at version ${version}`
+                : `✅ Schema already up to date (version ${version})`);
+        } finally {
+            await db.close();
+        }
+    }
+
+    async migrateStatus(options) {
+        const db = await this.openDatabase(options, undefined, false);
+        try {
+            const migrations = await db.migrator.status();
+            for (const migration of migrations) {
+                const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+                console.log(`  ${String(migration.version).padStart(3, '0')}  ${migration.description.padEnd(72)} ${state}`);
+            }
+            console.log(`\n${migrations.filter(m => !m.applied).length} pending migration(s)`);
+        } finally {
+            await db.close();
+        }
+    }
+
+    async createUser(options) {
+        const db = await this.openDatabase(options);
+        try {
+            const auth = new AuthService(db);
+            // Shell access to the database counts as admin
+            const user = await auth.register({
+                username: options.username,
+                password: options.password,
+                role: options.role || 'user'
+            }, { role: 'admin' });
+            console.log(`✅ Created ${user.role} account "${user.username}" (id ${user.id})`);
+        } finally {
+            await db.close();
+        }
+    }
+
+    async backup(options) {
+        const db = await this.openDatabase(options);
+        try {
+            await BackupManager.fromConfig(db, loadConfig()).create('cli');
+        } finally {
+            await db.close();
+        }
+    }
+
+    // Needs no open connection, so it also works while the server holds the database
+    async listBackups(options) {
+        const config = loadConfig();
+        const backups = BackupManager.fromConfig({ dbPath: options.db || config.database.path }, config);
+        const list = backups.list();
+
+        for (const backup of list) {
+            console.log(`  ${backup.name.padEnd(48)} ${`${Math.round(backup.size / 1024)} KB`.padStart(10)}  ${backup.createdAt.toLocaleString()}`);
+        }
+        console.log(`\n${list.length} backup(s) in ${backups.directory}`);
+    }
+
+    async restore(options) {
+        if (!options.file || options.file === true) {
+            throw new Error('--file <backup name or path> is required (see: node cli.js backups)');
+        }
+
+        const config = loadConfig();
+        const dbPath = options.db || config.database.path;
+        const file = fs.existsSync(options.file)
+            ? options.file
+            : path.join(path.resolve(config.database.backup_directory), options.file);
+
+        const restored = await BackupManager.restore(file, dbPath);
+        console.log(`✅ Restored ${path.basename(file)} to ${dbPath} (schema version ${restored.version}, ${restored.applications} application(s))`);
+        if (restored.previous) {
+            console.log(`   Previous database kept as ${restored.previous}`);
+        }
+    }
+
+    async pruneLogs(options) {
+        const days = options.days === undefined ? null : Number(options.days);
+        if (days !== null && !(Number.isInteger(days) && days >= 1)) {
+            throw new Error('--days must be a whole number of at least 1');
+        }
+
+        const db = await this.openDatabase(options);
+        try {
+            const retention = LogRetention.fromConfig(db, loadConfig());
+            if (days !== null) {
+                retention.days = days;
+            }
+            const { removed, archive } = await retention.run();
+            console.log(`✅ ${removed} activity log(s) removed${archive ? `, archived to ${archive}` : ''}`);
+        } finally {
+            await db.close();
+        }
+    }
+
+    // --passphrase, else VISA_EXPORT_PASSPHRASE so it stays out of the shell history
+    passphrase(options) {
+        return options.passphrase && options.passphrase !== true
+            ? String(options.passphrase)
+            : process.env.VISA_EXPORT_PASSPHRASE || null;
+    }
+
+    async exportData(options) {
+        if (!options.out || options.out === true) {
+            throw new Error('--out <file> is required');
+        }
+        const format = options.format || (options.out.endsWith('.csv') ? 'csv' : 'json');
+        if (!['json', 'csv'].includes(format)) {
+            throw new Error('--format must be json or csv');
+        }
+
+        const db = await this.openDatabase(options);
+        try {
+            const bundle = await new DataTransfer(db).export({
+                credentials: options.credentials || 'exclude',
+                passphrase: this.passphrase(options)
+            });
+            const text = format === 'csv'
+                ? DataTransfer.toCsv(bundle, options.type || 'applications')
+                : JSON.stringify(bundle, null, 2);
+
+            fs.writeFileSync(options.out, text, { mode: bundle.credentials === 'include' ? 0o600 : 0o644 });
+            console.log(`✅ Exported ${bundle.applications.length} application(s), ${bundle.activityLogs.length} log(s) and ` +
+                `${bundle.slotObservations.length} slot observation(s) to ${options.out} (credentials ${bundle.credentials})`);
+        } finally {
+            await db.close();
+        }
+    }
+
+    async importData(options) {
+        if (!options.file || options.file === true) {
+            throw new Error('--file <export> is required');
+        }
+        const format = options.format || (options.file.endsWith('.csv') ? 'csv' : 'json');
+        const bundle = DataTransfer.parse(fs.readFileSync(options.file, 'utf8'), format);
+
+        const db = await this.openDatabase(options);
+        try {
+            let ownerId = null;
+            if (options.owner) {
+                const owner = await db.getUserByUsername(String(options.owner).toLowerCase());
+                if (!owner) {
+                    throw new Error(`No user named "${options.owner}"`);
+                }
+                ownerId = owner.id;
+            }
+
+            const summary = await new DataTransfer(db).import(bundle, {
+                ownerId,
+                passphrase: this.passphrase(options),
+                dryRun: Boolean(options['dry-run'])
+            });
+
+            for (const error of summary.errors) {
+                const fields = Object.entries(error.fields).map(([field, message]) => `${field} ${message}`).join('; ');
+                console.log(`  ❌ row ${error.row}: ${fields}`);
+            }
+            for (const duplicate of summary.duplicates) {
+                console.log(`  ↩️ row ${duplicate.row}: ${duplicate.name} (${duplicate.country}) already exists`);
+            }
+            console.log(`${summary.dryRun ? '🔍 Dry run: would import' : '✅ Imported'} ${summary.imported} application(s); ` +
+                `${summary.duplicates.length} duplicate(s), ${summary.errors.length} invalid`);
+            if (summary.needsCredentials > 0) {
+                console.log(`   ${summary.needsCredentials} imported without a portal password - kept as drafts until one is set and they are resumed`);
+            }
+            if (!summary.dryRun && (summary.activityLogs || summary.slotObservations)) {
+                console.log(`   History: ${summary.activityLogs} log(s), ${summary.slotObservations} slot observation(s)`);
+            }
+        } finally {
+            await db.close();
+        }
+    }
+}
+
+if (require.main === module) {
+    new CommandLine().run(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('❌', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = CommandLine;
@@ -0,0 +1,224 @@
+// config.js - Configuration from defaults, config.json and environment variables (in that order)
+const fs = require('fs');
+const path = require('path');
+const providerRegistry = require('./providers');
+
+class ConfigError extends Error {
+    // errors lists every problem found, each prefixed with the setting path
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function isCloudEnvironment() {
+    return process.env.RAILWAY_ENVIRONMENT !== undefined ||
+        process.env.RENDER !== undefined ||
+        process.env.NODE_ENV === 'production';
+}
+
+/**
+ * The layout frontend/setup.js writes. Each leaf has a type, a default (a
+ * function when it depends on the environment) and optionally bounds (or the
+ * allowed values of an enum) and the environment variable that overrides it.
+ */
+const SCHEMA = {
+    server: {
+        port: { type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT' },
+        host: { type: 'string', default: '0.0.0.0', env: 'HOST' },
+        // Bearer token required by GET /metrics; unset leaves it open
+        metrics_token: { type: 'string', default: null, env: 'METRICS_TOKEN' }
+    },
+    database: {
+        // Same heuristic the server has always used: separate files for cloud and local
+        path: {
+            type: 'string',
+            default: () => isCloudEnvironment() ? './cloud_visa_monitor.db' : './visa_monitor.db',
+            env: 'DATABASE_PATH'
+        },
+        // 0 disables scheduled backups
+        backup_interval_hours: { type: 'number', min: 0, max: 720, default: 24, env: 'BACKUP_INTERVAL_HOURS' },
+        backup_directory: { type: 'string', default: './backups', env: 'BACKUP_DIRECTORY' },
+        backup_retention: { type: 'integer', min: 1, max: 365, default: 7, env: 'BACKUP_RETENTION' }
+    },
+    monitoring: {
+        check_interval_seconds: { type: 'integer', min: 5, max: 3600, default: 15, env: 'CHECK_INTERVAL_SECONDS' },
+        max_concurrent_applications: { type: 'integer', min: 1, max: 100, default: 10, env: 'MAX_CONCURRENT_APPLICATIONS' },
+        enable_notifications: { type: 'boolean', default: true, env: 'ENABLE_NOTIFICATIONS' },
+        enable_sound_alerts: { type: 'boolean', default: true },
+        // Bookings in "approval" mode keep their filled-in page open this long
+        approval_window_minutes: { type: 'integer', min: 1, max: 1440, default: 10, env: 'APPROVAL_WINDOW_MINUTES' }
+    },
+    browser: {
+        headless: { type: 'boolean', default: () => isCloudEnvironment(), env: 'HEADLESS' },
+        timeout_seconds: { type: 'integer', min: 5, max: 300, default: 30, env: 'BROWSER_TIMEOUT_SECONDS' },
+        enable_stealth: { type: 'boolean', default: true },
+        // Browsers checked out to countries at once; one in the cloud to stay within memory limits
+        pool_size: { type: 'integer', min: 1, max: 10, default: () => isCloudEnvironment() ? 1 : 3, env: 'BROWSER_POOL_SIZE' },
+        recycle_after_pages: { type: 'integer', min: 1, max: 10000, default: 50, env: 'BROWSER_RECYCLE_AFTER_PAGES' },
+        // Whole process tree, Linux only; 0 disables the check
+        max_memory_mb: { type: 'integer', min: 0, max: 65536, default: 1024, env: 'BROWSER_MAX_MEMORY_MB' },
+        health_check_seconds: { type: 'integer', min: 5, max: 3600, default: 60, env: 'BROWSER_HEALTH_CHECK_SECONDS' },
+        acquire_timeout_seconds: { type: 'integer', min: 5, max: 3600, default: 300, env: 'BROWSER_ACQUIRE_TIMEOUT_SECONDS' }
+    },
+    security: {
+        encrypt_passwords: { type: 'boolean', default: true },
+        log_retention_days: { type: 'integer', min: 1, max: 3650, default: 30, env: 'LOG_RETENTION_DAYS' },
+        // Pruned activity logs are written here as gzipped JSON lines; unset deletes them outright
+        log_archive_directory: { type: 'string', default: null, env: 'LOG_ARCHIVE_DIRECTORY' }
+    },
+    artifacts: {
+        // Screenshot, sanitized HTML, final URL and console errors of the portal page
+        on_failure: { type: 'boolean', default: true, env: 'ARTIFACTS_ON_FAILURE' },
+        on_slots: { type: 'boolean', default: false, env: 'ARTIFACTS_ON_SLOTS' },
+        directory: { type: 'string', default: './artifacts', env: 'ARTIFACT_DIRECTORY' },
+        retention_days: { type: 'integer', min: 1, max: 365, default: 7, env: 'ARTIFACT_RETENTION_DAYS' },
+        // The oldest artifacts are removed first past this size; 0 disables the limit
+        max_total_mb: { type: 'integer', min: 0, max: 102400, default: 500, env: 'ARTIFACT_MAX_TOTAL_MB' }
+    },
+    logging: {
+        level: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'LOG_LEVEL' },
+        // JSON lines for the platform's log viewer in the cloud, readable lines on a desktop
+        format: { type: 'enum', values: ['json', 'pretty'], default: () => isCloudEnvironment() ? 'json' : 'pretty', env: 'LOG_FORMAT' }
+    }
+};
+
+// countries.<id> for every registered provider; ITALY_ENABLED=false and the like override
+function countrySchema(id) {
+    return {
+        enabled: { type: 'boolean', default: true, env: `${id.toUpperCase()}_ENABLED` },
+        base_url: { type: 'url', default: null }
+    };
+}
+
+// Returns the typed value or throws a message string
+function coerce(spec, value) {
+    switch (spec.type) {
+        case 'boolean':
+            if (value === true || value === 'true' || value === '1') return true;
+            if (value === false || value === 'false' || value === '0') return false;
+            throw 'must be true or false';
+
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) throw 'must be a number';
+            if (spec.type === 'integer' && !Number.isInteger(number)) throw 'must be a whole number';
+            if (number < spec.min || number > spec.max) throw `must be between ${spec.min} and ${spec.max}`;
+            return number;
+        }
+
+        case 'enum':
+            if (!spec.values.includes(value)) throw `must be one of ${spec.values.join(', ')}`;
+            return value;
+
+        case 'url':
+            if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) throw 'must be an http(s) URL';
+            return value.replace(/\/+$/, '');
+
+        default:
+            if (typeof value !== 'string' || value.trim() === '') throw 'must be a non-empty string';
+            return value.trim();
+    }
+}
+
+function readConfigFile(configPath) {
+    if (!fs.existsSync(configPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`${path.basename(configPath)} is not valid JSON: ${error.message}`]);
+    }
+}
+
+// Fills `target` from one schema section, collecting errors instead of stopping at the first
+function loadSection(name, schema, fileSection, env, errors, target) {
+    if (fileSection !== undefined && (fileSection === null || typeof fileSection !== 'object' || Array.isArray(fileSection))) {
+        errors.push(`${name}: must be an object (config.json)`);
+        fileSection = {};
+    }
+    fileSection = fileSection || {};
+
+    for (const key of Object.keys(fileSection)) {
+        if (!schema[key]) {
+            errors.push(`${name}.${key}: unknown setting (config.json)`);
+        }
+    }
+
+    for (const [key, spec] of Object.entries(schema)) {
+        let value = typeof spec.default === 'function' ? spec.default() : spec.default;
+
+        const layers = [
+            ['config.json', fileSection[key]],
+            [spec.env, spec.env ? env[spec.env] : undefined]
+        ];
+        for (const [source, raw] of layers) {
+            if (raw === undefined || raw === null || raw === '') continue;
+            try {
+                value = coerce(spec, raw);
+            } catch (message) {
+                if (typeof message !== 'string') throw message;
+                errors.push(`${name}.${key}: ${message} (${source})`);
+            }
+        }
+
+        target[key] = value;
+    }
+    return target;
+}
+
+/**
+ * Loads and validates the configuration; throws ConfigError listing every
+ * invalid value. The file is VISA_CONFIG_FILE or config.json next to server.js;
+ * without one, defaults and environment variables are used.
+ */
+function loadConfig({ env = process.env, configPath = null, providers = providerRegistry } = {}) {
+    const file = configPath || env.VISA_CONFIG_FILE || path.join(__dirname, 'config.json');
+    const fileConfig = readConfigFile(file);
+    const errors = [];
+
+    if (fileConfig !== null && (typeof fileConfig !== 'object' || Array.isArray(fileConfig))) {
+        throw new ConfigError([`${path.basename(file)} must contain a JSON object`]);
+    }
+    const data = fileConfig || {};
+
+    const config = {};
+    for (const [name, schema] of Object.entries(SCHEMA)) {
+        config[name] = loadSection(name, schema, data[name], env, errors, {});
+    }
+
+    const fileCountries = data.countries || {};
+    for (const id of Object.keys(fileCountries)) {
+        if (!providers.has(id)) {
+            errors.push(`countries.${id}: no provider is registered for this country (config.json)`);
+        }
+    }
+    config.countries = {};
+    for (const id of providers.ids()) {
+        config.countries[id] = loadSection(`countries.${id}`, countrySchema(id), fileCountries[id], env, errors, {});
+    }
+
+    for (const name of Object.keys(data)) {
+        if (!SCHEMA[name] && name !== 'countries') {
+            errors.push(`${name}: unknown section (config.json)`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    config.source = fileConfig ? file : null;
+    return config;
+}
+
+module.exports = {
+    ConfigError,
+    SCHEMA,
+    loadConfig,
+    isCloudEnvironment
+};
@@ -0,0 +1,363 @@
+// data-transfer.js - Export and import of applications and their history, as JSON or CSV
+const crypto = require('crypto');
+const { FieldCipher, SENSITIVE_FIELDS } = require('./field-crypto');
+const { validateApplication, ValidationError, EDITABLE_FIELDS, isValidDate } = require('./validation');
+const Database = require('./database');
+
+const FORMAT = 'visa-monitor-export';
+const FORMAT_VERSION = 1;
+
+/**
+ * What happens to secrets in an export:
+ *   exclude - site_password is left out (imported applications start as drafts)
+ *   encrypt - site_password, passport_number and date_of_birth are encrypted with a passphrase
+ *   include - everything in plaintext
+ */
+const CREDENTIAL_MODES = ['exclude', 'encrypt', 'include'];
+const EXPORT_TYPES = ['applications', 'logs', 'slots'];
+// Statuses kept on import; slot_found and awaiting_approval described a browser session that is gone
+const IMPORTED_STATUSES = ['draft', 'active', 'paused', 'booked', 'failed', 'expired'];
+const LEGACY_STATUSES = { completed: 'booked' };
+
+const APPLICATION_COLUMNS = ['id', ...EDITABLE_FIELDS, 'status', 'booking_result', 'created_at'];
+const LOG_COLUMNS = ['id', 'application_id', 'country', 'action', 'details', 'timestamp'];
+const SLOT_COLUMNS = ['id', 'application_id', 'country', 'slot_date', 'slot_time', 'center', 'visa_category',
+    'label', 'matched', 'observed_at'];
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?(\.\d+)?Z?$/;
+
+class TransferError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TransferError';
+        this.status = status;
+    }
+}
+
+// CSV as RFC 4180: quoted when needed, "" escapes a quote
+function toCsv(columns, rows) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// First row is the header; resolves to one object per data row
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new TransferError('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...data] = rows.filter(cells => cells.some(cell => cell !== ''));
+    if (!header) {
+        return [];
+    }
+    const columns = header.map(column => column.trim().replace(/^\uFEFF/, ''));
+    return data.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] === undefined ? '' : cells[i]])));
+}
+
+// The cipher for an encrypted export; the salt travels with the file
+function passphraseCipher(passphrase, salt) {
+    if (!passphrase || String(passphrase).length < 8) {
+        throw new TransferError('A passphrase of at least 8 characters is required for encrypted credentials');
+    }
+    return new FieldCipher(crypto.scryptSync(String(passphrase), Buffer.from(salt, 'base64'), 32));
+}
+
+function pick(record, columns) {
+    const result = {};
+    for (const column of columns) {
+        if (column in record) {
+            result[column] = record[column];
+        }
+    }
+    return result;
+}
+
+function importedStatus(status) {
+    const current = LEGACY_STATUSES[status] || status;
+    return IMPORTED_STATUSES.includes(current) ? current : 'active';
+}
+
+function sqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Imported history is plain text of bounded length; anything else is dropped
+function importedText(value, max) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value).trim();
+    return text === '' ? null : text.substring(0, max);
+}
+
+function importedTimestamp(value, fallback) {
+    return typeof value === 'string' && TIMESTAMP_PATTERN.test(value) ? value : fallback;
+}
+
+// A file can say anything happened, so its actions are kept apart from the ones the monitor logs
+function importedAction(action) {
+    const name = (importedText(action, 64) || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '').replace(/^(IMPORTED_)+/, '');
+    return name ? `IMPORTED_${name}` : null;
+}
+
+function importedLog(row, application, now) {
+    return {
+        application_id: application.id,
+        country: application.country,
+        action: importedAction(row.action),
+        details: importedText(row.details, 2000),
+        timestamp: importedTimestamp(row.timestamp, now)
+    };
+}
+
+function importedSlot(row, application, now) {
+    const slotDate = importedText(row.slot_date, 10);
+    return {
+        application_id: application.id,
+        country: application.country,
+        slot_date: slotDate && isValidDate(slotDate) ? slotDate : null,
+        slot_time: importedText(row.slot_time, 20),
+        center: importedText(row.center, 100),
+        visa_category: importedText(row.visa_category, 100),
+        label: importedText(row.label, 200),
+        matched: row.matched === false || row.matched === 0 || row.matched === '0' ? 0 : 1,
+        observed_at: importedTimestamp(row.observed_at, now)
+    };
+}
+
+class DataTransfer {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Applications visible to ownerId (null = all) with their activity logs and
+     * slot history. Resolves to a bundle that serializes as the JSON export.
+     */
+    async export({ ownerId = null, credentials = 'exclude', passphrase = null } = {}) {
+        if (!CREDENTIAL_MODES.includes(credentials)) {
+            throw new TransferError(`credentials must be one of: ${CREDENTIAL_MODES.join(', ')}`);
+        }
+
+        const salt = credentials === 'encrypt' ? crypto.randomBytes(16).toString('base64') : null;
+        const cipher = salt ? passphraseCipher(passphrase, salt) : null;
+
+        const applications = await this.db.getApplications(ownerId);
+        const ids = applications.map(application => application.id);
+
+        return {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            credentials,
+            credentialsSalt: salt,
+            applications: applications.map(application => {
+                const row = pick(this.db.cipher.decryptFields(application), APPLICATION_COLUMNS);
+                if (credentials === 'exclude') {
+                    delete row.site_password;
+                }
+                return cipher ? cipher.encryptFields(row) : row;
+            }),
+            activityLogs: (await this.db.getActivityLogsForApplications(ids)).map(log => pick(log, LOG_COLUMNS)),
+            slotObservations: (await this.db.getSlotObservationsForApplications(ids)).map(slot => pick(slot, SLOT_COLUMNS))
+        };
+    }
+
+    // One table of a bundle as CSV; encrypted application exports carry the salt in every row
+    static toCsv(bundle, type = 'applications') {
+        if (type === 'logs') {
+            return toCsv(LOG_COLUMNS, bundle.activityLogs);
+        }
+        if (type === 'slots') {
+            return toCsv(SLOT_COLUMNS, bundle.slotObservations);
+        }
+
+        let columns = APPLICATION_COLUMNS;
+        if (bundle.credentials === 'exclude') {
+            columns = columns.filter(column => column !== 'site_password');
+        }
+        if (bundle.credentialsSalt) {
+            columns = [...columns, 'credentials_salt'];
+        }
+        return toCsv(columns, bundle.applications.map(row => ({ ...row, credentials_salt: bundle.credentialsSalt })));
+    }
+
+    // JSON export text or an applications CSV, to the shape import() takes
+    static parse(text, format = 'json') {
+        if (format === 'csv') {
+            const applications = parseCsv(String(text));
+            const salted = applications.find(row => row.credentials_salt);
+            return {
+                format: FORMAT,
+                applications: applications.map(({ credentials_salt: _, ...row }) => row),
+                credentialsSalt: salted ? salted.credentials_salt : null
+            };
+        }
+
+        if (typeof text !== 'string') {
+            return text;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new TransferError(`Import is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validates every application, skips those whose passport number and
+     * country already exist (here or earlier in the file) and creates the rest
+     * for ownerId, with their history. Nothing is written when dryRun is set.
+     * Webhook URLs in notification preferences need allowWebhookUrls (admins).
+     * Imported log actions are renamed IMPORTED_<action>. Duplicates are looked
+     * for among dedupeOwnerId's applications (null = everyone's, for admins) so
+     * a user never learns what other accounts hold.
+     * Resolves to a summary with per-row errors and duplicates (1-based rows).
+     */
+    async import(bundle, { ownerId = null, dedupeOwnerId = ownerId, passphrase = null, dryRun = false, allowWebhookUrls = false } = {}) {
+        if (!bundle || typeof bundle !== 'object' || !Array.isArray(bundle.applications)) {
+            throw new TransferError('Import must contain an applications list');
+        }
+        if (bundle.format !== undefined && bundle.format !== FORMAT) {
+            throw new TransferError(`Unknown export format "${bundle.format}"`);
+        }
+        if (bundle.version > FORMAT_VERSION) {
+            throw new TransferError(`Export version ${bundle.version} is newer than this server supports (${FORMAT_VERSION})`);
+        }
+
+        const encrypted = bundle.applications.some(row =>
+            row && SENSITIVE_FIELDS.some(field => typeof row[field] === 'string' && row[field].startsWith('enc:v1:')));
+        if (encrypted && !bundle.credentialsSalt) {
+            throw new TransferError('Import has encrypted credentials but no credentials salt');
+        }
+        const cipher = encrypted ? passphraseCipher(passphrase, bundle.credentialsSalt) : null;
+
+        // One transaction, so a failure leaves nothing half-imported and concurrent imports
+        // cannot both accept the same passport
+        return this.db.transaction(async (db) => {
+            const existing = await db.getApplicationKeys(dedupeOwnerId);
+
+            const summary = { imported: 0, needsCredentials: 0, duplicates: [], errors: [], activityLogs: 0, slotObservations: 0, dryRun };
+            const accepted = [];
+
+            for (const [index, row] of bundle.applications.entries()) {
+                const line = index + 1;
+                if (!row || typeof row !== 'object') {
+                    summary.errors.push({ row: line, fields: { _: 'is not an object' } });
+                    continue;
+                }
+
+                let data = row;
+                if (cipher) {
+                    try {
+                        data = cipher.decryptFields(row);
+                    } catch (error) {
+                        throw new TransferError('Wrong passphrase for the encrypted credentials');
+                    }
+                }
+
+                // Without a password the application is stored as a draft until one is set
+                const needsCredentials = data.site_password === undefined || data.site_password === '';
+                const input = pick(data, EDITABLE_FIELDS);
+                if (needsCredentials) {
+                    input.site_password = '-';
+                }
+
+                let values;
+                try {
+                    values = validateApplication(input, { allowWebhookUrls });
+                } catch (error) {
+                    if (!(error instanceof ValidationError)) throw error;
+                    summary.errors.push({ row: line, fields: error.fields });
+                    continue;
+                }
+
+                const key = Database.applicationKey(values.country, values.passport_number);
+                if (existing.has(key)) {
+                    summary.duplicates.push({ row: line, country: values.country, name: `${values.first_name} ${values.last_name}` });
+                    continue;
+                }
+                existing.add(key);
+
+                accepted.push({
+                    sourceId: data.id,
+                    values: {
+                        ...values,
+                        site_password: needsCredentials ? '' : values.site_password,
+                        status: needsCredentials ? 'draft' : importedStatus(data.status),
+                        owner_id: ownerId
+                    }
+                });
+                if (needsCredentials) summary.needsCredentials++;
+            }
+
+            summary.imported = accepted.length;
+            if (dryRun) {
+                return summary;
+            }
+
+            // Source ids only mean something inside the file; history follows the new ids
+            const created = new Map();
+            for (const { sourceId, values } of accepted) {
+                const id = await db.createApplication(values);
+                if (sourceId !== undefined && sourceId !== null && sourceId !== '') {
+                    created.set(String(sourceId), { id, country: values.country });
+                }
+            }
+
+            const now = sqlTimestamp(new Date());
+            const remap = (rows, toRow) => (Array.isArray(rows) ? rows : [])
+                .filter(row => row && typeof row === 'object' && created.has(String(row.application_id)))
+                .map(row => toRow(row, created.get(String(row.application_id)), now));
+
+            summary.activityLogs = await db.insertActivityLogs(remap(bundle.activityLogs, importedLog).filter(log => log.action));
+            summary.slotObservations = await db.insertSlotObservations(remap(bundle.slotObservations, importedSlot));
+            return summary;
+        });
+    }
+}
+
+module.exports = {
+    DataTransfer,
+    TransferError,
+    CREDENTIAL_MODES,
+    EXPORT_TYPES
+};
@@ -1,118 +1,109 @@
 // database.js - Database Module (Complete Fixed Version)
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const EventEmitter = require('events');
+const { FieldCipher, SENSITIVE_FIELDS, REDACTED } = require('./field-crypto');
+const Migrator = require('./migrator');
+const { MONITORED_STATES } = require('./application-lifecycle');
+const { metrics } = require('./metrics');
+const { logger, currentCorrelationId } = require('./logger');
 
-class Database {
-    constructor(dbPath = './visa_monitor.db') {
-        this.dbPath = dbPath;
-        this.db = null;
-        this.init();
-    }
+const log = logger.child({ module: 'database' });
 
-    init() {
-        this.db = new sqlite3.Database(this.dbPath, (err) => {
+// Column names are interpolated into UPDATE statements, so only these may be updated
+const UPDATABLE_COLUMNS = [
+    'country', 'visa_type', 'first_name', 'last_name', 'email', 'phone',
+    'passport_number', 'date_of_birth', 'nationality', 'address',
+    'preferred_center', 'site_email', 'site_password', 'priority', 'auto_book',
+    'notification_channels', 'check_window_start', 'check_window_end',
+    'preferred_date', 'earliest_date', 'latest_date', 'excluded_weekdays', 'preferred_centers',
+    'booking_mode'
+];
+
+// SELECT, INSERT, UPDATE, ... for the query time metric
+function statementKind(sql) {
+    const keyword = (String(sql).trim().match(/^[a-z]+/i) || ['other'])[0].toUpperCase();
+    return ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'WITH'].includes(keyword) ? keyword : 'OTHER';
+}
+
+// Writers wait this long for another connection's transaction instead of failing with SQLITE_BUSY
+const BUSY_TIMEOUT_MS = 10000;
+
+function observeQueries(connection) {
+    connection.configure('busyTimeout', BUSY_TIMEOUT_MS);
+    connection.on('profile', (sql, ms) => {
+        metrics.dbQueryDuration.observe({ operation: statementKind(sql) }, ms / 1000);
+    });
+}
+
+function runOn(connection, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        connection.run(sql, params, function(err) {
             if (err) {
-                console.error('❌ Database connection failed:', err);
+                reject(err);
             } else {
-                console.log('✅ Connected to SQLite database');
-                this.createTables();
+                resolve({ lastID: this.lastID, changes: this.changes });
             }
         });
-    }
-
-    createTables() {
-        // Use serialize to ensure tables are created in sequence
-        this.db.serialize(() => {
-            // Applications table
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS applications (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    country TEXT NOT NULL,
-                    visa_type TEXT NOT NULL,
-                    
-                    -- Personal Information
-                    first_name TEXT NOT NULL,
-                    last_name TEXT NOT NULL,
-                    email TEXT NOT NULL,
-                    phone TEXT NOT NULL,
-                    passport_number TEXT NOT NULL,
-                    date_of_birth DATE NOT NULL,
-                    nationality TEXT NOT NULL,
-                    address TEXT,
-                    
-                    -- Application Details
-                    preferred_center TEXT,
-                    preferred_date DATE,
-                    purpose_of_visit TEXT,
-                    duration_of_stay TEXT,
-                    
-                    -- Visa Site Credentials
-                    site_email TEXT NOT NULL,
-                    site_password TEXT NOT NULL,
-                    
-                    -- Settings
-                    priority INTEGER DEFAULT 1,
-                    auto_book BOOLEAN DEFAULT 1,
-                    status TEXT DEFAULT 'active',
-                    
-                    -- Tracking
-                    attempts INTEGER DEFAULT 0,
-                    slots_found INTEGER DEFAULT 0,
-                    last_check DATETIME,
-                    booking_result TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    completed_at DATETIME
-                )
-            `, (err) => {
-                if (err) console.error('Error creating applications table:', err);
-                else console.log('✅ Applications table ready');
-            });
+    });
+}
 
-            // Activity logs table
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS activity_logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    application_id INTEGER,
-                    country TEXT NOT NULL,
-                    action TEXT NOT NULL,
-                    details TEXT,
-                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    
-                    FOREIGN KEY (application_id) REFERENCES applications (id)
-                )
-            `, (err) => {
-                if (err) console.error('Error creating activity_logs table:', err);
-                else console.log('✅ Activity logs table ready');
-            });
+// Emits 'activity' with the new row id whenever an activity log is written
+class Database extends EventEmitter {
+    constructor(dbPath = './visa_monitor.db', options = {}) {
+        super();
+        this.dbPath = dbPath;
+        this.db = null;
+        this.cipher = options.cipher || FieldCipher.fromEnvironment();
+        this.autoMigrate = options.autoMigrate !== false;
+        this.inTransaction = false;
+        this.transactions = Promise.resolve(); // transaction() runs one at a time
+        this.init();
+        this.migrator = new Migrator(this.db);
+    }
 
-            // System settings table - THEN insert default settings
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS system_settings (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    setting_key TEXT UNIQUE NOT NULL,
-                    setting_value TEXT NOT NULL,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
+    init() {
+        // Resolves once the schema is migrated; callers that query immediately (CLI) wait on it
+        this.ready = new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
-                    console.error('Error creating system_settings table:', err);
-                } else {
-                    console.log('✅ System settings table ready');
-                    // Only insert default settings AFTER table is created
-                    this.insertDefaultSettings();
+                    log.error('❌ Database connection failed', { error: err, path: this.dbPath });
+                    reject(err);
+                    return;
+                }
+
+                log.info('✅ Connected to SQLite database', { path: this.dbPath });
+                observeQueries(this.db);
+                if (!this.autoMigrate) {
+                    resolve();
+                    return;
                 }
+
+                this.createTables().then(resolve, reject);
             });
         });
+        this.ready.catch(() => {});
+    }
+
+    // Bring the schema up to date with the files in migrations/
+    async createTables() {
+        try {
+            const applied = await this.migrator.migrate();
+            const version = await this.migrator.currentVersion();
+            log.info(`✅ Database schema ready (version ${version}${applied.length ? `, applied ${applied.length} migration(s)` : ''})`,
+                { version, applied: applied.length });
+        } catch (error) {
+            log.error('❌ Database migration failed', { error });
+            throw error;
+        }
+
+        this.insertDefaultSettings();
     }
 
+    // Runtime settings get their defaults from SettingsService (config.json / env); only state is seeded
     insertDefaultSettings() {
         const defaultSettings = [
-            ['check_interval', '15'],
-            ['max_concurrent_applications', '10'],
-            ['spain_enabled', 'true'],
-            ['italy_enabled', 'true'],
-            ['auto_restart_on_error', 'true'],
-            ['notification_enabled', 'true']
+            ['monitoring_enabled', 'false'] // desired state, restored on boot
         ];
 
         defaultSettings.forEach(([key, value]) => {
@@ -121,30 +112,81 @@ class Database {
                 [key, value],
                 (err) => {
                     if (err) {
-                        console.error(`Error inserting setting ${key}:`, err);
+                        log.error('Error inserting setting', { key, error: err });
                     }
                 }
             );
         });
-        console.log('✅ Default settings initialized');
+        log.info('✅ Default settings initialized');
+    }
+
+    /**
+     * Runs work(tx) in one transaction on a connection of its own; tx has every
+     * Database method. Statements other callers make meanwhile stay out of it
+     * (and wait for the commit if they write), and transactions run one at a
+     * time. A rejected work() rolls everything back.
+     */
+    transaction(work) {
+        if (this.inTransaction) {
+            return work(this);
+        }
+        const result = this.transactions.then(() => this.runTransaction(work));
+        this.transactions = result.catch(() => {});
+        return result;
+    }
+
+    async runTransaction(work) {
+        const connection = await new Promise((resolve, reject) => {
+            const opened = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve(opened)));
+        });
+        observeQueries(connection);
+        const tx = Object.create(this, { db: { value: connection }, inTransaction: { value: true } });
+
+        try {
+            await runOn(connection, 'BEGIN IMMEDIATE');
+            try {
+                const result = await work(tx);
+                await runOn(connection, 'COMMIT');
+                return result;
+            } catch (error) {
+                await runOn(connection, 'ROLLBACK').catch(() => {});
+                throw error;
+            }
+        } finally {
+            connection.close((err) => {
+                if (err) log.error('Error closing transaction connection', { error: err });
+            });
+        }
     }
 
     // Application CRUD operations
     createApplication(data) {
+        data = this.cipher.encryptFields(data);
+        // auto_book mirrors booking_mode for older readers, so it is never left NULL
+        const bookingMode = data.booking_mode || (data.auto_book ? 'auto' : 'off');
+
         return new Promise((resolve, reject) => {
             const sql = `
                 INSERT INTO applications (
                     country, visa_type, first_name, last_name, email, phone,
                     passport_number, date_of_birth, nationality, address,
-                    preferred_center, site_email, site_password, priority, auto_book
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    preferred_center, site_email, site_password, priority, auto_book,
+                    notification_channels, check_window_start, check_window_end,
+                    preferred_date, earliest_date, latest_date, excluded_weekdays, preferred_centers,
+                    booking_mode, owner_id, status
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
             this.db.run(sql, [
                 data.country, data.visa_type, data.first_name, data.last_name,
                 data.email, data.phone, data.passport_number, data.date_of_birth,
                 data.nationality, data.address, data.preferred_center,
-                data.site_email, data.site_password, data.priority, data.auto_book
+                data.site_email, data.site_password, data.priority, bookingMode === 'auto' ? 1 : 0,
+                data.notification_channels || null, data.check_window_start || null,
+                data.check_window_end || null, data.preferred_date || null, data.earliest_date || null,
+                data.latest_date || null, data.excluded_weekdays || null, data.preferred_centers || null,
+                bookingMode, data.owner_id || null,
+                data.status || 'active'
             ], function(err) {
                 if (err) {
                     reject(err);
@@ -155,11 +197,13 @@ class Database {
         });
     }
 
-    getApplications() {
+    // ownerId limits results to one user's applications; null means all (admin/monitor)
+    getApplications(ownerId = null) {
         return new Promise((resolve, reject) => {
+            const where = ownerId === null ? '' : 'WHERE owner_id = ?';
             this.db.all(
-                'SELECT * FROM applications ORDER BY priority DESC, created_at DESC',
-                [],
+                `SELECT * FROM applications ${where} ORDER BY priority DESC, created_at DESC`,
+                ownerId === null ? [] : [ownerId],
                 (err, rows) => {
                     if (err) {
                         reject(err);
@@ -171,11 +215,12 @@ class Database {
         });
     }
 
-    getApplicationById(id) {
+    getApplicationById(id, ownerId = null) {
         return new Promise((resolve, reject) => {
+            const ownerClause = ownerId === null ? '' : ' AND owner_id = ?';
             this.db.get(
-                'SELECT * FROM applications WHERE id = ?',
-                [id],
+                'SELECT * FROM applications WHERE id = ?' + ownerClause,
+                ownerId === null ? [id] : [id, ownerId],
                 (err, row) => {
                     if (err) {
                         reject(err);
@@ -187,10 +232,11 @@ class Database {
         });
     }
 
+    // Applications the monitor should check: active, or active with slots currently on offer
     getActiveApplications(country = null) {
         return new Promise((resolve, reject) => {
-            let sql = 'SELECT * FROM applications WHERE status = "active"';
-            const params = [];
+            let sql = `SELECT * FROM applications WHERE status IN (${MONITORED_STATES.map(() => '?').join(', ')})`;
+            const params = [...MONITORED_STATES];
 
             if (country) {
                 sql += ' AND country = ?';
@@ -209,13 +255,36 @@ class Database {
         });
     }
 
-    updateApplication(id, updates) {
+    updateApplication(id, updates, ownerId = null) {
+        updates = { ...updates };
+
+        // Redacted placeholders echoed back by the dashboard keep the stored value
+        for (const field of SENSITIVE_FIELDS) {
+            if (updates[field] === REDACTED) {
+                delete updates[field];
+            }
+        }
+        updates = this.cipher.encryptFields(updates);
+
+        const unknown = Object.keys(updates).filter(key => !UPDATABLE_COLUMNS.includes(key));
+        if (unknown.length > 0) {
+            return Promise.reject(new Error(`Cannot update column(s): ${unknown.join(', ')}`));
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return Promise.resolve(0);
+        }
+
         return new Promise((resolve, reject) => {
             const updateFields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
             const updateValues = Object.values(updates);
             updateValues.push(id);
 
-            const sql = `UPDATE applications SET ${updateFields} WHERE id = ?`;
+            let sql = `UPDATE applications SET ${updateFields} WHERE id = ?`;
+            if (ownerId !== null) {
+                sql += ' AND owner_id = ?';
+                updateValues.push(ownerId);
+            }
 
             this.db.run(sql, updateValues, function(err) {
                 if (err) {
@@ -227,11 +296,88 @@ class Database {
         });
     }
 
-    deleteApplication(id) {
+    /**
+     * Moves an application from one status to another, only if it is still in
+     * `from`. Reaching "booked" stamps completed_at; result is kept as booking_result.
+     * Resolves to the number of rows changed (0 when the status had already moved on).
+     * Callers go through ApplicationLifecycle, which checks the transition is legal.
+     */
+    transitionApplicationStatus(id, from, to, { result = null } = {}) {
+        return new Promise((resolve, reject) => {
+            let sql = 'UPDATE applications SET status = ?, status_changed_at = CURRENT_TIMESTAMP';
+            const params = [to];
+
+            if (to === 'booked') {
+                sql += ', completed_at = CURRENT_TIMESTAMP';
+            }
+            if (result !== null) {
+                sql += ', booking_result = ?';
+                params.push(result);
+            }
+
+            sql += ' WHERE id = ? AND status = ?';
+            params.push(id, from);
+
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Applications in one of `statuses` whose latest acceptable date is before `date` (YYYY-MM-DD)
+    getApplicationsPastLatestDate(date, statuses) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM applications 
+                 WHERE latest_date IS NOT NULL AND latest_date < ? 
+                 AND status IN (${statuses.map(() => '?').join(', ')})`,
+                [date, ...statuses],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    getApplicationsByStatus(status) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM applications WHERE status = ?', [status], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // One applicant per country: "country:PASSPORT" for ownerId's applications (null = everyone's)
+    async getApplicationKeys(ownerId = null) {
+        const applications = await this.getApplications(ownerId);
+        return new Set(applications.map(application => {
+            const plain = this.cipher.decryptFields(application);
+            return Database.applicationKey(plain.country, plain.passport_number);
+        }));
+    }
+
+    static applicationKey(country, passportNumber) {
+        return `${String(country).toLowerCase()}:${String(passportNumber || '').replace(/\s+/g, '').toUpperCase()}`;
+    }
+
+    deleteApplication(id, ownerId = null) {
         return new Promise((resolve, reject) => {
+            const ownerClause = ownerId === null ? '' : ' AND owner_id = ?';
             this.db.run(
-                'DELETE FROM applications WHERE id = ?',
-                [id],
+                'DELETE FROM applications WHERE id = ?' + ownerClause,
+                ownerId === null ? [id] : [id, ownerId],
                 function(err) {
                     if (err) {
                         reject(err);
@@ -243,6 +389,31 @@ class Database {
         });
     }
 
+    /**
+     * Re-encrypt every sensitive column with newCipher. Values are read with the
+     * current cipher (plaintext legacy rows pass through) and written back in a
+     * single transaction, so a failure leaves the old ciphertext untouched.
+     */
+    async reencryptApplications(newCipher) {
+        const columns = ['id', ...SENSITIVE_FIELDS].join(', ');
+        const assignments = SENSITIVE_FIELDS.map(field => `${field} = ?`).join(', ');
+        const sql = `UPDATE applications SET ${assignments} WHERE id = ?`;
+
+        const count = await this.transaction(async (tx) => {
+            const rows = await new Promise((resolve, reject) => {
+                tx.db.all(`SELECT ${columns} FROM applications`, [], (err, result) => (err ? reject(err) : resolve(result)));
+            });
+            const updates = rows.map(row => newCipher.encryptFields(this.cipher.decryptFields(row)));
+            for (const row of updates) {
+                await runOn(tx.db, sql, [...SENSITIVE_FIELDS.map(field => row[field]), row.id]);
+            }
+            return updates.length;
+        });
+
+        this.cipher = newCipher;
+        return count;
+    }
+
     // Update application tracking info
     incrementAttempts(id) {
         return new Promise((resolve, reject) => {
@@ -276,96 +447,174 @@ class Database {
         });
     }
 
-    markCompleted(id, result) {
+    // Activity logging; tagged with the correlation ID of the check or request doing the writing
+    logActivity(applicationId, country, action, details, { artifactId = null } = {}) {
+        const database = this;
         return new Promise((resolve, reject) => {
             this.db.run(
-                'UPDATE applications SET status = "completed", completed_at = CURRENT_TIMESTAMP, booking_result = ? WHERE id = ?',
-                [result, id],
+                'INSERT INTO activity_logs (application_id, country, action, details, correlation_id, artifact_id) VALUES (?, ?, ?, ?, ?, ?)',
+                [applicationId, country, action, details, currentCorrelationId(), artifactId],
                 function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve();
+                        database.emit('activity', this.lastID);
+                        resolve(this.lastID);
                     }
                 }
             );
         });
     }
 
-    markFailed(id, reason) {
+    getActivityLogById(id) {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                'UPDATE applications SET status = "failed", booking_result = ? WHERE id = ?',
-                [reason, id],
-                function(err) {
+            this.db.get(
+                `SELECT al.*, a.first_name, a.last_name, a.visa_type, a.owner_id 
+                 FROM activity_logs al 
+                 LEFT JOIN applications a ON al.application_id = a.id 
+                 WHERE al.id = ?`,
+                [id],
+                (err, row) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve();
+                        resolve(row);
                     }
                 }
             );
         });
     }
 
-    // Activity logging
-    logActivity(applicationId, country, action, details) {
+    getActivityLogs(limit = 50, ownerId = null) {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                'INSERT INTO activity_logs (application_id, country, action, details) VALUES (?, ?, ?, ?)',
-                [applicationId, country, action, details],
-                function(err) {
+            const where = ownerId === null ? '' : 'WHERE a.owner_id = ?';
+            this.db.all(
+                `SELECT al.*, a.first_name, a.last_name, a.visa_type 
+                 FROM activity_logs al 
+                 LEFT JOIN applications a ON al.application_id = a.id 
+                 ${where}
+                 ORDER BY al.timestamp DESC LIMIT ?`,
+                ownerId === null ? [limit] : [ownerId, limit],
+                (err, rows) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(this.lastID);
+                        resolve(rows);
                     }
                 }
             );
         });
     }
 
-    getActivityLogs(limit = 50) {
+    /**
+     * Filtered page of activity logs, newest first. `cursor` is the nextCursor
+     * of the previous page; `search` matches words (or word prefixes) in details.
+     * `correlationId` matches that check or request, or every check of that cycle.
+     * Resolves to { logs, nextCursor }, nextCursor being null on the last page.
+     */
+    searchActivityLogs({ applicationId = null, country = null, actions = [], since = null, until = null,
+        search = null, correlationId = null, cursor = null, limit = 50 } = {}, ownerId = null) {
+        limit = Math.max(1, Math.floor(limit) || 1);
+
         return new Promise((resolve, reject) => {
+            const conditions = [];
+            const params = [];
+
+            if (ownerId !== null) {
+                conditions.push('a.owner_id = ?');
+                params.push(ownerId);
+            }
+            if (applicationId !== null) {
+                conditions.push('al.application_id = ?');
+                params.push(applicationId);
+            }
+            if (country) {
+                conditions.push('al.country = ?');
+                params.push(country);
+            }
+            if (actions.length > 0) {
+                conditions.push(`al.action IN (${actions.map(() => '?').join(', ')})`);
+                params.push(...actions);
+            }
+            if (since) {
+                conditions.push('al.timestamp >= ?');
+                params.push(since);
+            }
+            if (until) {
+                conditions.push('al.timestamp < ?');
+                params.push(until);
+            }
+            if (correlationId) {
+                conditions.push(`(al.correlation_id = ? OR al.correlation_id LIKE ? ESCAPE '\\')`);
+                params.push(correlationId, `${correlationId.replace(/[\\%_]/g, '\\$&')}-%`);
+            }
+            const match = Database.ftsQuery(search);
+            if (match) {
+                conditions.push('al.id IN (SELECT rowid FROM activity_logs_fts WHERE activity_logs_fts MATCH ?)');
+                params.push(match);
+            }
+            if (cursor !== null) {
+                conditions.push('al.id < ?');
+                params.push(cursor);
+            }
+            // One extra row tells whether another page follows
+            params.push(limit + 1);
+
             this.db.all(
                 `SELECT al.*, a.first_name, a.last_name, a.visa_type 
                  FROM activity_logs al 
                  LEFT JOIN applications a ON al.application_id = a.id 
-                 ORDER BY al.timestamp DESC LIMIT ?`,
-                [limit],
+                 ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                 ORDER BY al.id DESC LIMIT ?`,
+                params,
                 (err, rows) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(rows);
+                        const logs = rows.slice(0, limit);
+                        resolve({
+                            logs,
+                            nextCursor: rows.length > limit ? logs[logs.length - 1].id : null
+                        });
                     }
                 }
             );
         });
     }
 
-    // System statistics
-    getSystemStats() {
+    // Free text to an FTS5 query: every word must appear, each as a prefix
+    static ftsQuery(search) {
+        const words = String(search || '').match(/[\p{L}\p{N}_]+/gu) || [];
+        return words.map(word => `"${word}"*`).join(' ');
+    }
+
+    getActivityLogActions(ownerId = null) {
         return new Promise((resolve, reject) => {
-            Promise.all([
-                this.getApplicationCountByStatus(),
-                this.getApplicationCountByCountry(),
-                this.getTotalStats()
-            ]).then(([statusCounts, countryCounts, totals]) => {
-                resolve({
-                    statusCounts,
-                    countryCounts,
-                    totals
-                });
-            }).catch(reject);
+            const where = ownerId === null ? '' : 'WHERE a.owner_id = ?';
+            this.db.all(
+                `SELECT DISTINCT al.action 
+                 FROM activity_logs al 
+                 LEFT JOIN applications a ON al.application_id = a.id 
+                 ${where}
+                 ORDER BY al.action`,
+                ownerId === null ? [] : [ownerId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => row.action));
+                    }
+                }
+            );
         });
     }
 
-    getApplicationCountByStatus() {
+    // Oldest logs written before `cutoff`, at most `limit` of them, for retention
+    getActivityLogsBefore(cutoff, limit = 1000) {
         return new Promise((resolve, reject) => {
             this.db.all(
-                'SELECT status, COUNT(*) as count FROM applications GROUP BY status',
-                [],
+                'SELECT * FROM activity_logs WHERE timestamp < ? ORDER BY id LIMIT ?',
+                [cutoff, limit],
                 (err, rows) => {
                     if (err) {
                         reject(err);
@@ -377,11 +626,42 @@ class Database {
         });
     }
 
-    getApplicationCountByCountry() {
+    deleteActivityLogsBefore(cutoff, maxId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM activity_logs WHERE timestamp < ? AND id <= ?',
+                [cutoff, maxId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // History of the given applications, oldest first (exports)
+    getActivityLogsForApplications(applicationIds) {
+        return this.getRowsForApplications('activity_logs', applicationIds);
+    }
+
+    getSlotObservationsForApplications(applicationIds) {
+        return this.getRowsForApplications('slot_observations', applicationIds);
+    }
+
+    getRowsForApplications(table, applicationIds) {
+        if (applicationIds.length === 0) {
+            return Promise.resolve([]);
+        }
+
         return new Promise((resolve, reject) => {
             this.db.all(
-                'SELECT country, COUNT(*) as count FROM applications GROUP BY country',
-                [],
+                `SELECT * FROM ${table} 
+                 WHERE application_id IN (${applicationIds.map(() => '?').join(', ')}) 
+                 ORDER BY id`,
+                applicationIds,
                 (err, rows) => {
                     if (err) {
                         reject(err);
@@ -393,85 +673,736 @@ class Database {
         });
     }
 
-    getTotalStats() {
+    // Imported history keeps its original timestamps and is not announced as new activity
+    insertActivityLogs(logs) {
+        return this.insertRows('activity_logs', ['application_id', 'country', 'action', 'details', 'timestamp'], logs);
+    }
+
+    insertSlotObservations(observations) {
+        return this.insertRows('slot_observations',
+            ['application_id', 'country', 'slot_date', 'slot_time', 'center', 'visa_category', 'label', 'matched', 'observed_at'],
+            observations);
+    }
+
+    // All rows or none; joins the caller's transaction when there is one
+    insertRows(table, columns, rows) {
+        if (rows.length === 0) {
+            return Promise.resolve(0);
+        }
+
+        const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+        return this.transaction(async (tx) => {
+            for (const row of rows) {
+                await runOn(tx.db, sql, columns.map(column => row[column] === undefined ? null : row[column]));
+            }
+            return rows.length;
+        });
+    }
+
+    // Slots seen on the portals
+    recordSlotObservations(applicationId, country, slots) {
+        if (slots.length === 0) {
+            return Promise.resolve(0);
+        }
+
+        const placeholders = slots.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+        const params = [];
+        slots.forEach(slot => {
+            params.push(applicationId, country, slot.date, slot.time, slot.center, slot.visaCategory, slot.label,
+                slot.matched === false ? 0 : 1);
+        });
+
         return new Promise((resolve, reject) => {
-            this.db.get(
-                `SELECT 
-                    COUNT(*) as total_applications,
-                    SUM(attempts) as total_attempts,
-                    SUM(slots_found) as total_slots_found,
-                    COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_applications,
-                    COUNT(CASE WHEN status = 'active' THEN 1 END) as active_applications
-                 FROM applications`,
-                [],
-                (err, row) => {
+            this.db.run(
+                `INSERT INTO slot_observations 
+                    (application_id, country, slot_date, slot_time, center, visa_category, label, matched) 
+                 VALUES ${placeholders}`,
+                params,
+                function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(row);
+                        resolve(this.changes);
                     }
                 }
             );
         });
     }
 
-    // Settings management
-    getSetting(key) {
+    // Page evidence saved by ArtifactStore; resolves to the new id
+    createArtifact({ applicationId, country, reason, directory, screenshotFile, htmlFile, url, title, consoleErrors, sizeBytes }) {
         return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT setting_value FROM system_settings WHERE setting_key = ?',
-                [key],
-                (err, row) => {
+            this.db.run(
+                `INSERT INTO artifacts 
+                    (application_id, country, reason, directory, screenshot_file, html_file, url, title, console_errors, size_bytes, correlation_id) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [applicationId, country, reason, directory, screenshotFile, htmlFile, url, title,
+                    JSON.stringify(consoleErrors || []), sizeBytes || 0, currentCorrelationId()],
+                function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(row ? row.setting_value : null);
+                        resolve(this.lastID);
                     }
                 }
             );
         });
     }
 
-    setSetting(key, value) {
+    getArtifactById(id, ownerId = null) {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                'INSERT OR REPLACE INTO system_settings (setting_key, setting_value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
-                [key, value],
-                function(err) {
+            const ownerClause = ownerId === null ? '' : ' AND a.owner_id = ?';
+            this.db.get(
+                `SELECT ar.*, a.first_name, a.last_name 
+                 FROM artifacts ar 
+                 LEFT JOIN applications a ON ar.application_id = a.id 
+                 WHERE ar.id = ?${ownerClause}`,
+                ownerId === null ? [id] : [id, ownerId],
+                (err, row) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve();
+                        resolve(row ? { ...row, console_errors: JSON.parse(row.console_errors || '[]') } : null);
                     }
                 }
             );
         });
     }
 
-    // Database maintenance
-    vacuum() {
+    // Every artifact, newest first, flagged when its application was deleted
+    getArtifactsForRetention() {
         return new Promise((resolve, reject) => {
-            this.db.run('VACUUM', (err) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve();
+            this.db.all(
+                `SELECT ar.id, ar.directory, ar.size_bytes, ar.created_at,
+                        (ar.application_id IS NOT NULL AND a.id IS NULL) AS orphaned
+                 FROM artifacts ar 
+                 LEFT JOIN applications a ON ar.application_id = a.id 
+                 ORDER BY ar.id DESC`,
+                [],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
                 }
-            });
+            );
         });
     }
 
-    backup(backupPath) {
+    // Activity logs that linked to the artifacts keep their text and lose the link, in the same transaction
+    deleteArtifacts(ids) {
+        if (ids.length === 0) {
+            return Promise.resolve(0);
+        }
+        const placeholders = ids.map(() => '?').join(', ');
+
+        return this.transaction(async (tx) => {
+            await runOn(tx.db, `UPDATE activity_logs SET artifact_id = NULL WHERE artifact_id IN (${placeholders})`, ids);
+            const { changes } = await runOn(tx.db, `DELETE FROM artifacts WHERE id IN (${placeholders})`, ids);
+            return changes;
+        });
+    }
+
+    getSlotObservations({ applicationId = null, country = null, since = null, limit = 100 } = {}, ownerId = null) {
         return new Promise((resolve, reject) => {
-            const fs = require('fs');
-            const readStream = fs.createReadStream(this.dbPath);
-            const writeStream = fs.createWriteStream(backupPath);
+            const conditions = [];
+            const params = [];
 
-            readStream.on('error', reject);
-            writeStream.on('error', reject);
-            writeStream.on('close', resolve);
+            if (ownerId !== null) {
+                conditions.push('a.owner_id = ?');
+                params.push(ownerId);
+            }
+            if (applicationId !== null) {
+                conditions.push('so.application_id = ?');
+                params.push(applicationId);
+            }
+            if (country) {
+                conditions.push('so.country = ?');
+                params.push(country);
+            }
+            if (since) {
+                conditions.push('so.observed_at >= ?');
+                params.push(since);
+            }
+            params.push(limit);
 
-            readStream.pipe(writeStream);
+            this.db.all(
+                `SELECT so.*, a.first_name, a.last_name, a.visa_type 
+                 FROM slot_observations so 
+                 LEFT JOIN applications a ON so.application_id = a.id 
+                 ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                 ORDER BY so.observed_at DESC, so.id DESC LIMIT ?`,
+                params,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    // Booking approvals (hold-for-approval and dry-run bookings)
+    createBookingApproval({ applicationId, country, mode, status, slot, formData, expiresAt }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO booking_approvals 
+                    (application_id, country, mode, status, slot_date, slot_time, center, slot_label, form_data, expires_at) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    applicationId, country, mode, status,
+                    slot ? slot.date : null, slot ? slot.time : null, slot ? slot.center : null, slot ? slot.label : null,
+                    formData ? JSON.stringify(formData) : null,
+                    expiresAt ? expiresAt.toISOString() : null
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    getBookingApprovals({ status = null, applicationId = null, limit = 50 } = {}, ownerId = null) {
+        return new Promise((resolve, reject) => {
+            const conditions = [];
+            const params = [];
+
+            if (ownerId !== null) {
+                conditions.push('a.owner_id = ?');
+                params.push(ownerId);
+            }
+            if (status) {
+                conditions.push('ba.status = ?');
+                params.push(status);
+            }
+            if (applicationId !== null) {
+                conditions.push('ba.application_id = ?');
+                params.push(applicationId);
+            }
+            params.push(limit);
+
+            this.db.all(
+                `SELECT ba.*, a.first_name, a.last_name, a.visa_type, a.owner_id 
+                 FROM booking_approvals ba 
+                 JOIN applications a ON ba.application_id = a.id 
+                 ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                 ORDER BY ba.created_at DESC, ba.id DESC LIMIT ?`,
+                params,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({ ...row, form_data: row.form_data ? JSON.parse(row.form_data) : null })));
+                    }
+                }
+            );
+        });
+    }
+
+    async getBookingApproval(id, ownerId = null) {
+        const params = [id];
+        let sql = `SELECT ba.*, a.owner_id FROM booking_approvals ba 
+                   JOIN applications a ON ba.application_id = a.id WHERE ba.id = ?`;
+        if (ownerId !== null) {
+            sql += ' AND a.owner_id = ?';
+            params.push(ownerId);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // Only moves an approval that is still pending, so concurrent decisions cannot both win
+    resolveBookingApproval(id, status, { decidedBy = null, result = null } = {}) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE booking_approvals 
+                 SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP, result = ? 
+                 WHERE id = ? AND status = 'pending'`,
+                [status, decidedBy, result, id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Records the outcome of an approved submission
+    setBookingApprovalResult(id, status, result) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE booking_approvals SET status = ?, result = ? WHERE id = ?',
+                [status, result, id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Held browser pages do not survive a restart
+    expirePendingApprovals(reason) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE booking_approvals SET status = 'expired', result = ?, decided_at = CURRENT_TIMESTAMP 
+                 WHERE status = 'pending'`,
+                [reason],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Monitor run sessions
+    createMonitorSession({ environment, stats, resumedFrom = null }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO monitor_sessions (environment, stats, resumed_from, started_at, updated_at) 
+                 VALUES (?, ?, ?, ?, ?)`,
+                [environment, JSON.stringify(stats), resumedFrom, new Date().toISOString(), new Date().toISOString()],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    // Also serves as a heartbeat: updated_at marks the last moment a session was known alive
+    updateMonitorSession(id, stats) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE monitor_sessions SET stats = ?, updated_at = ? WHERE id = ?',
+                [JSON.stringify(stats), new Date().toISOString(), id],
+                (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                }
+            );
+        });
+    }
+
+    closeMonitorSession(id, reason, stats) {
+        return new Promise((resolve, reject) => {
+            const now = new Date().toISOString();
+            this.db.run(
+                `UPDATE monitor_sessions SET stats = ?, stop_reason = ?, stopped_at = ?, updated_at = ? 
+                 WHERE id = ? AND stopped_at IS NULL`,
+                [JSON.stringify(stats), reason, now, now, id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Sessions left open by a crash end at their last heartbeat
+    closeInterruptedMonitorSessions() {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE monitor_sessions SET stopped_at = updated_at, stop_reason = 'interrupted' 
+                 WHERE stopped_at IS NULL`,
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    getMonitorSessions(limit = 20) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM monitor_sessions ORDER BY id DESC LIMIT ?',
+                [limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({ ...row, stats: row.stats ? JSON.parse(row.stats) : null })));
+                    }
+                }
+            );
+        });
+    }
+
+    async getLatestMonitorSession() {
+        const [session] = await this.getMonitorSessions(1);
+        return session || null;
+    }
+
+    // Notification delivery attempts
+    logNotificationDelivery({ applicationId, eventType, channel, recipient, attempt, status, error }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO notification_deliveries 
+                    (application_id, event_type, channel, recipient, attempt, status, error) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [applicationId, eventType, channel, recipient, attempt, status, error],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    getNotificationDeliveries(applicationId, limit = 50) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM notification_deliveries 
+                 WHERE application_id = ? 
+                 ORDER BY created_at DESC, id DESC LIMIT ?`,
+                [applicationId, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    // System statistics
+    getSystemStats(ownerId = null) {
+        return new Promise((resolve, reject) => {
+            Promise.all([
+                this.getApplicationCountByStatus(ownerId),
+                this.getApplicationCountByCountry(ownerId),
+                this.getTotalStats(ownerId)
+            ]).then(([statusCounts, countryCounts, totals]) => {
+                resolve({
+                    statusCounts,
+                    countryCounts,
+                    totals
+                });
+            }).catch(reject);
+        });
+    }
+
+    getApplicationCountByStatus(ownerId = null) {
+        return new Promise((resolve, reject) => {
+            const where = ownerId === null ? '' : 'WHERE owner_id = ? ';
+            this.db.all(
+                `SELECT status, COUNT(*) as count FROM applications ${where}GROUP BY status`,
+                ownerId === null ? [] : [ownerId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    getApplicationCountByCountry(ownerId = null) {
+        return new Promise((resolve, reject) => {
+            const where = ownerId === null ? '' : 'WHERE owner_id = ? ';
+            this.db.all(
+                `SELECT country, COUNT(*) as count FROM applications ${where}GROUP BY country`,
+                ownerId === null ? [] : [ownerId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    getTotalStats(ownerId = null) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT 
+                    COUNT(*) as total_applications,
+                    SUM(attempts) as total_attempts,
+                    SUM(slots_found) as total_slots_found,
+                    COUNT(CASE WHEN status = 'booked' THEN 1 END) as booked_applications,
+                    COUNT(CASE WHEN status IN ('active', 'slot_found') THEN 1 END) as active_applications,
+                    COUNT(CASE WHEN status = 'awaiting_approval' THEN 1 END) as awaiting_approval_applications,
+                    COUNT(CASE WHEN status IN ('draft', 'paused', 'failed', 'expired') THEN 1 END) as inactive_applications
+                 FROM applications
+                 ${ownerId === null ? '' : 'WHERE owner_id = ?'}`,
+                ownerId === null ? [] : [ownerId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    // Users and sessions
+    createUser(username, passwordHash, role = 'user') {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+                [username, passwordHash, role],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    // Inserts the admin only while the users table is empty; resolves to null when an account already exists
+    createFirstAdmin(username, passwordHash) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO users (username, password_hash, role)
+                 SELECT ?, ?, 'admin' WHERE NOT EXISTS (SELECT 1 FROM users)`,
+                [username, passwordHash],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes > 0 ? this.lastID : null);
+                    }
+                }
+            );
+        });
+    }
+
+    getUserByUsername(username) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM users WHERE username = ?',
+                [username],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    getUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT id, username, role, created_at FROM users ORDER BY created_at ASC',
+                [],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    countUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) as count FROM users', [], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    // Applications created before accounts existed belong to the first admin
+    assignUnownedApplications(ownerId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE applications SET owner_id = ? WHERE owner_id IS NULL',
+                [ownerId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    createSession(tokenHash, userId, expiresAt) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+                [tokenHash, userId, expiresAt.toISOString()],
+                (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                }
+            );
+        });
+    }
+
+    getSessionUser(tokenHash) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT u.id, u.username, u.role 
+                 FROM sessions s 
+                 JOIN users u ON s.user_id = u.id 
+                 WHERE s.token_hash = ? AND s.expires_at > ?`,
+                [tokenHash, new Date().toISOString()],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row);
+                    }
+                }
+            );
+        });
+    }
+
+    deleteSession(tokenHash) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM sessions WHERE token_hash = ? OR expires_at <= ?',
+                [tokenHash, new Date().toISOString()],
+                (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                }
+            );
+        });
+    }
+
+    // Settings management
+    getSetting(key) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT setting_value FROM system_settings WHERE setting_key = ?',
+                [key],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row ? row.setting_value : null);
+                    }
+                }
+            );
+        });
+    }
+
+    // Every stored setting as { key: value } strings
+    getSettings() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT setting_key, setting_value FROM system_settings',
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(Object.fromEntries(rows.map(row => [row.setting_key, row.setting_value])));
+                    }
+                }
+            );
+        });
+    }
+
+    setSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT OR REPLACE INTO system_settings (setting_key, setting_value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+                [key, value],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                }
+            );
+        });
+    }
+
+    // Database maintenance
+    vacuum() {
+        return new Promise((resolve, reject) => {
+            this.db.run('VACUUM', (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Consistent copy of the live database; VACUUM INTO refuses to overwrite an existing file
+    backup(backupPath) {
+        return new Promise((resolve, reject) => {
+            this.db.run('VACUUM INTO ?', [backupPath], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(backupPath);
+                }
+            });
         });
     }
 
@@ -481,9 +1412,9 @@ class Database {
             if (this.db) {
                 this.db.close((err) => {
                     if (err) {
-                        console.error('Error closing database:', err);
+                        log.error('Error closing database', { error: err });
                     } else {
-                        console.log('✅ Database connection closed');
+                        log.info('✅ Database connection closed');
                     }
                     resolve();
                 });
@@ -0,0 +1,133 @@
+// event-stream.js - Server-Sent Events fan-out for the live dashboard
+//
+// Each published event carries an audience: everyone, admins only, or one
+// owner (plus admins), mirroring how the REST endpoints scope their data.
+// Every heartbeat re-reads each client's session through options.verify, so
+// a logged-out, expired, deleted or demoted user stops receiving events.
+
+const AUDIENCE = {
+    EVERYONE: 'everyone',
+    ADMINS: 'admins'
+};
+
+class EventStream {
+    constructor(options = {}) {
+        this.clients = new Set();
+        this.nextId = 1;
+        this.history = [];
+        this.historySize = options.historySize || 200;
+        this.heartbeatMs = options.heartbeatMs || 25000;
+        this.heartbeat = null;
+        this.verify = options.verify || null; // async token -> current user or null
+    }
+
+    canSee(user, audience) {
+        if (audience === AUDIENCE.EVERYONE || user.role === 'admin') return true;
+        if (audience === AUDIENCE.ADMINS) return false;
+        return audience === user.id;
+    }
+
+    // Express handler body: keeps the response open and replays what a reconnecting client missed
+    subscribe(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: 5000\n\n`);
+
+        const client = { user: req.user, token: req.token, res };
+        this.clients.add(client);
+        this.startHeartbeat();
+
+        const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+        if (lastEventId) {
+            this.history
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.send(client, event));
+        }
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) this.stopHeartbeat();
+        });
+    }
+
+    publish(type, data, audience = AUDIENCE.EVERYONE) {
+        const event = {
+            id: this.nextId++,
+            type,
+            audience,
+            payload: JSON.stringify({ type, timestamp: new Date().toISOString(), ...data })
+        };
+
+        this.history.push(event);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        this.clients.forEach(client => this.send(client, event));
+        return event.id;
+    }
+
+    send(client, event) {
+        if (!this.canSee(client.user, event.audience)) return;
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${event.payload}\n\n`);
+    }
+
+    // Ends the streams opened with `token`, e.g. on logout
+    disconnect(token) {
+        this.clients.forEach((client) => {
+            if (client.token === token) this.end(client);
+        });
+    }
+
+    end(client) {
+        this.clients.delete(client);
+        client.res.end();
+        if (this.clients.size === 0) this.stopHeartbeat();
+    }
+
+    // Picks up role changes and drops clients whose session no longer exists
+    async revalidate() {
+        if (!this.verify) return;
+        await Promise.all(Array.from(this.clients).map(async (client) => {
+            try {
+                const user = await this.verify(client.token);
+                if (user) {
+                    client.user = user;
+                } else {
+                    this.end(client);
+                }
+            } catch (error) {
+                // Session store unavailable (busy database); check again on the next heartbeat
+            }
+        }));
+    }
+
+    // Comment lines keep proxies from closing idle connections
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(async () => {
+            await this.revalidate();
+            this.clients.forEach(client => client.res.write(': ping\n\n'));
+        }, this.heartbeatMs);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    close() {
+        this.stopHeartbeat();
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = EventStream;
+module.exports.AUDIENCE = AUDIENCE;
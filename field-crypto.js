@@ -0,0 +1,165 @@
+// field-crypto.js - Field-level encryption for credentials and passport data
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const PREFIX = 'enc:v1';
+
+// Columns of the applications table that never hit the disk in plaintext
+const SENSITIVE_FIELDS = ['site_password', 'passport_number', 'date_of_birth'];
+const REDACTED = '[REDACTED]';
+
+const DEFAULT_KEY_FILE = './visa-monitor.key';
+
+// Required on first use: logger.js itself reads SENSITIVE_FIELDS from this module
+function log() {
+    return require('./logger').logger.child({ module: 'crypto' });
+}
+
+class FieldCipher {
+    constructor(key, options = {}) {
+        this.enabled = options.enabled !== false;
+        this.source = options.source || 'memory';
+        this.keyFile = options.keyFile || null;
+
+        if (this.enabled) {
+            this.key = FieldCipher.parseKey(key);
+            this.keyId = FieldCipher.keyIdOf(this.key);
+        }
+    }
+
+    // Accepts a 32-byte Buffer, 64 hex characters or base64
+    static parseKey(value) {
+        if (Buffer.isBuffer(value) && value.length === KEY_BYTES) {
+            return value;
+        }
+
+        const text = String(value || '').trim();
+        const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+
+        if (key.length !== KEY_BYTES) {
+            throw new Error(`Encryption key must be ${KEY_BYTES} bytes (64 hex chars or base64)`);
+        }
+        return key;
+    }
+
+    static keyIdOf(key) {
+        return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+    }
+
+    static generateKey() {
+        return crypto.randomBytes(KEY_BYTES).toString('base64');
+    }
+
+    /**
+     * Resolve the key from VISA_ENCRYPTION_KEY, then VISA_ENCRYPTION_KEY_FILE
+     * (default ./visa-monitor.key). A missing key file is created on first run.
+     */
+    static fromEnvironment(options = {}) {
+        if (options.enabled === false) {
+            log().warn('⚠️ Field encryption disabled - sensitive data stored in plaintext');
+            return new FieldCipher(null, { enabled: false });
+        }
+
+        if (process.env.VISA_ENCRYPTION_KEY) {
+            return new FieldCipher(process.env.VISA_ENCRYPTION_KEY, { source: 'env' });
+        }
+
+        const keyFile = path.resolve(process.env.VISA_ENCRYPTION_KEY_FILE || DEFAULT_KEY_FILE);
+
+        if (!fs.existsSync(keyFile)) {
+            FieldCipher.writeKeyFile(keyFile, FieldCipher.generateKey());
+            log().info(`🔑 Generated new encryption key: ${keyFile}`, { keyFile });
+            log().warn('⚠️ Back this file up - encrypted data cannot be read without it', { keyFile });
+        }
+
+        return new FieldCipher(fs.readFileSync(keyFile, 'utf8'), { source: 'file', keyFile });
+    }
+
+    static writeKeyFile(keyFile, key) {
+        fs.writeFileSync(keyFile, key + '\n', { mode: 0o600 });
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX + ':');
+    }
+
+    encrypt(value) {
+        if (!this.enabled || value === null || value === undefined || value === '' || this.isEncrypted(value)) {
+            return value;
+        }
+
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+
+        return [PREFIX, this.keyId, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    // Plaintext values (rows written before encryption was enabled) pass through unchanged
+    decrypt(value) {
+        if (!this.isEncrypted(value)) {
+            return value;
+        }
+        if (!this.enabled) {
+            throw new Error('Encrypted value found but field encryption is disabled');
+        }
+
+        const [, , keyId, iv, tag, ciphertext] = value.split(':');
+        if (keyId !== this.keyId) {
+            throw new Error(`Value was encrypted with key ${keyId}, current key is ${this.keyId}`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    encryptFields(record) {
+        const result = { ...record };
+        for (const field of SENSITIVE_FIELDS) {
+            if (field in result) {
+                result[field] = this.encrypt(result[field]);
+            }
+        }
+        return result;
+    }
+
+    decryptFields(record) {
+        const result = { ...record };
+        for (const field of SENSITIVE_FIELDS) {
+            if (field in result) {
+                result[field] = this.decrypt(result[field]);
+            }
+        }
+        return result;
+    }
+}
+
+// Strip sensitive values before a record leaves the API
+function redactApplication(application) {
+    if (!application) return application;
+
+    const result = { ...application };
+    for (const field of SENSITIVE_FIELDS) {
+        if (result[field]) {
+            result[field] = REDACTED;
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    FieldCipher,
+    SENSITIVE_FIELDS,
+    REDACTED,
+    redactApplication
+};
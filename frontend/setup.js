@@ -66,13 +66,16 @@ class SetupScript {
                 },
                 "database": {
                     "path": "./visa_monitor.db",
-                    "backup_interval_hours": 24
+                    "backup_interval_hours": 24,
+                    "backup_directory": "./backups",
+                    "backup_retention": 7
                 },
                 "monitoring": {
                     "check_interval_seconds": 15,
                     "max_concurrent_applications": 10,
                     "enable_notifications": true,
-                    "enable_sound_alerts": true
+                    "enable_sound_alerts": true,
+                    "approval_window_minutes": 10
                 },
                 "countries": {
                     "spain": {
@@ -87,7 +90,10 @@ class SetupScript {
                 "browser": {
                     "headless": false,
                     "timeout_seconds": 30,
-                    "enable_stealth": true
+                    "enable_stealth": true,
+                    "pool_size": 3,
+                    "recycle_after_pages": 50,
+                    "max_memory_mb": 1024
                 },
                 "security": {
                     "encrypt_passwords": true,
@@ -269,12 +275,18 @@ Edit \`config.json\` to customize:
 - Notification preferences
 - Country-specific URLs
 
+Environment variables override \`config.json\` (\`PORT\`, \`HOST\`, \`DATABASE_PATH\`,
+\`CHECK_INTERVAL_SECONDS\`, \`HEADLESS\`, \`LOG_RETENTION_DAYS\`, \`ITALY_ENABLED\`, ...).
+Invalid values stop the server at startup with a list of what to fix.
+
 ## Important Notes
 
 ### Security
 - Keep visa website credentials secure
 - Database stores encrypted passwords
-- Regular backups recommended
+- The database is backed up to \`backups/\` every \`backup_interval_hours\`, keeping the
+  newest \`backup_retention\` copies; \`node cli.js backup\` takes one now
+- To restore, stop the server and run \`node cli.js restore --file <backup>\`
 
 ### Browser Automation
 - Browser windows will open for each country
@@ -0,0 +1,93 @@
+// log-retention.js - Daily pruning of old activity logs, optionally archived to gzipped JSON lines
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'log-retention' });
+
+const RUN_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 1000;
+
+// activity_logs.timestamp format (UTC)
+function sqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+class LogRetention {
+    constructor(database, { days = 30, archiveDirectory = null } = {}) {
+        this.db = database;
+        this.days = days;
+        this.archiveDirectory = archiveDirectory ? path.resolve(archiveDirectory) : null;
+        this.timer = null;
+    }
+
+    // Options from the security section of config.js
+    static fromConfig(database, config) {
+        return new LogRetention(database, {
+            days: config.security.log_retention_days,
+            archiveDirectory: config.security.log_archive_directory
+        });
+    }
+
+    cutoff(now = new Date()) {
+        return sqlTimestamp(new Date(now.getTime() - this.days * 24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Removes logs older than `days`, in batches so the database is never
+     * locked for long. Each batch is archived before it is deleted.
+     * Resolves to { removed, archive }.
+     */
+    async run() {
+        const cutoff = this.cutoff();
+        const archive = this.archiveDirectory
+            ? path.join(this.archiveDirectory, `activity-logs-${cutoff.substring(0, 10)}.jsonl.gz`)
+            : null;
+        let removed = 0;
+
+        for (;;) {
+            const rows = await this.db.getActivityLogsBefore(cutoff, BATCH_SIZE);
+            if (rows.length === 0) break;
+
+            if (archive) {
+                fs.mkdirSync(this.archiveDirectory, { recursive: true });
+                // Concatenated gzip members read back as one stream (zcat, zlib.gunzipSync)
+                const lines = rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+                fs.appendFileSync(archive, zlib.gzipSync(lines));
+            }
+
+            removed += await this.db.deleteActivityLogsBefore(cutoff, rows[rows.length - 1].id);
+            if (rows.length < BATCH_SIZE) break;
+        }
+
+        if (removed > 0) {
+            log.info(`🧹 Removed ${removed} activity log(s) older than ${this.days} days${archive ? `, archived to ${archive}` : ''}`, { removed });
+        }
+        return { removed, archive: removed > 0 ? archive : null };
+    }
+
+    // Runs now, then once a day
+    start() {
+        const tick = async () => {
+            try {
+                await this.run();
+            } catch (error) {
+                log.error('❌ Activity log retention failed', { error });
+            }
+        };
+
+        tick();
+        this.timer = setInterval(tick, RUN_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = LogRetention;
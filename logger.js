@@ -0,0 +1,142 @@
+// logger.js - Levelled, structured logging: JSON lines in the cloud, readable lines locally
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { SENSITIVE_FIELDS, REDACTED } = require('./field-crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Values under these keys never reach the output, at any depth
+const SENSITIVE_KEY = new RegExp(
+    [...SENSITIVE_FIELDS, 'password', 'passport', 'dob', 'secret', 'token', 'authorization', 'cookie', 'api_?key'].join('|'), 'i');
+
+const EMOJI = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu;
+
+// Correlation ID of the cycle, check or request being handled; follows awaits and timers
+const context = new AsyncLocalStorage();
+
+function newCorrelationId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Runs fn with correlationId attached to every log line and activity log
+ * written while it runs, including from callbacks it schedules.
+ */
+function withCorrelation(correlationId, fn) {
+    return context.run({ correlationId }, fn);
+}
+
+function currentCorrelationId() {
+    const store = context.getStore();
+    return store ? store.correlationId : null;
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.type ? { type: error.type } : {}),
+        ...(error.code ? { code: error.code } : {}),
+        stack: error.stack
+    };
+}
+
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    if (depth > 5) {
+        return '[Object]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined && item !== ''
+            ? REDACTED
+            : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+function prettyValue(value) {
+    if (value && typeof value === 'object' && 'message' in value && 'stack' in value) {
+        return JSON.stringify(value.message);
+    }
+    return typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value);
+}
+
+class Logger {
+    // Children share the root's options, so configure() reaches loggers made at require time
+    constructor(fields = {}, options = null) {
+        this.fields = fields;
+        this.options = options || { level: 'info', format: 'pretty' };
+    }
+
+    configure({ level, format } = {}) {
+        if (level) this.options.level = level;
+        if (format) this.options.format = format;
+    }
+
+    // A logger that adds `fields` (module, country, ...) to every line
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, this.options);
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.options.level];
+    }
+
+    debug(message, fields) { this.write('debug', message, fields); }
+    info(message, fields) { this.write('info', message, fields); }
+    warn(message, fields) { this.write('warn', message, fields); }
+    error(message, fields) { this.write('error', message, fields); }
+
+    // fields may also be an Error, logged as { error }
+    write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const correlationId = currentCorrelationId();
+        const entry = redact({
+            ...this.fields,
+            ...(correlationId ? { correlationId } : {}),
+            ...(fields instanceof Error ? { error: fields } : fields)
+        });
+        const stream = LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+
+        if (this.options.format === 'json') {
+            stream(JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                msg: String(message).replace(EMOJI, '').trim(),
+                ...entry
+            }));
+            return;
+        }
+
+        const { module: moduleName, error, ...rest } = entry;
+        const details = Object.entries(rest).map(([key, value]) => `${key}=${prettyValue(value)}`);
+        if (error) details.push(`error=${prettyValue(error)}`);
+        stream(`${moduleName ? `[${moduleName}] ` : ''}${message}${details.length > 0 ? ` (${details.join(' ')})` : ''}`);
+        if (error && error.stack && level === 'error') {
+            stream(error.stack);
+        }
+    }
+}
+
+const logger = new Logger();
+
+module.exports = {
+    logger,
+    Logger,
+    LEVELS,
+    newCorrelationId,
+    withCorrelation,
+    currentCorrelationId,
+    redact
+};
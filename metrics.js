@@ -0,0 +1,210 @@
+// metrics.js - Counters, gauges and histograms served in the Prometheus text format (GET /metrics)
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'metrics' });
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    // collect(metric) runs before every scrape and may be async, for values read from elsewhere
+    constructor(type, name, help, { labelNames = [], collect = null } = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        this.series = new Map(); // label values joined -> { labels, ...state }
+    }
+
+    // Unknown labels are dropped and missing ones left empty, so every series has the same label set
+    seriesFor(labels, create) {
+        const values = this.labelNames.map(name => labels[name] === undefined || labels[name] === null ? '' : String(labels[name]));
+        const key = values.join('\u0000');
+        if (!this.series.has(key)) {
+            const labelSet = {};
+            this.labelNames.forEach((name, i) => { labelSet[name] = values[i]; });
+            this.series.set(key, { labels: labelSet, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    lines() {
+        return Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, options) {
+        super('counter', name, help, options);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    // Only for counters mirrored from a component that keeps its own running totals
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, options) {
+        super('gauge', name, help, options);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    // Drops every series, for gauges rebuilt from scratch on each scrape
+    clear() {
+        this.series.clear();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, options = {}) {
+        super('histogram', name, help, options);
+        this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that observes the seconds elapsed; labels given to it are added to these
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...moreLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    lines() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, options) {
+        return this.register(new Counter(name, help, options));
+    }
+
+    gauge(name, help, options) {
+        return this.register(new Gauge(name, help, options));
+    }
+
+    histogram(name, help, options) {
+        return this.register(new Histogram(name, help, options));
+    }
+
+    // Text exposition format 0.0.4
+    async render() {
+        const blocks = [];
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) {
+                try {
+                    await metric.collect(metric);
+                } catch (error) {
+                    log.error(`❌ Could not collect metric ${metric.name}`, { error });
+                }
+            }
+            blocks.push([
+                `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.lines()
+            ].join('\n'));
+        }
+        return blocks.join('\n') + '\n';
+    }
+}
+
+// The process-wide registry; modules record into the metrics below
+const registry = new MetricsRegistry();
+
+const metrics = {
+    checks: registry.counter('visa_monitor_checks_total',
+        'Portal checks by country and outcome (slots_found, slots_ignored, no_slots or the error type)',
+        { labelNames: ['country', 'outcome'] }),
+    loginDuration: registry.histogram('visa_monitor_login_duration_seconds',
+        'Time to log into a portal, successful or not',
+        { labelNames: ['country', 'result'], buckets: [1, 2.5, 5, 10, 15, 20, 30, 45, 60, 120] }),
+    pageLoad: registry.histogram('visa_monitor_page_load_seconds',
+        'Portal page navigation time',
+        { labelNames: ['country', 'page'], buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 15, 20, 30] }),
+    slotDetections: registry.counter('visa_monitor_slot_detections_total',
+        'Checks that found slots matching the application',
+        { labelNames: ['country'] }),
+    bookings: registry.counter('visa_monitor_bookings_total',
+        'Booking attempts by booking mode and result',
+        { labelNames: ['country', 'mode', 'result'] }),
+    httpDuration: registry.histogram('visa_monitor_http_request_duration_seconds',
+        'HTTP request latency by route pattern',
+        { labelNames: ['method', 'route', 'status'] }),
+    dbQueryDuration: registry.histogram('visa_monitor_db_query_duration_seconds',
+        'SQLite statement execution time',
+        { labelNames: ['operation'], buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1] })
+};
+
+registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', {
+    collect: gauge => gauge.set({}, process.memoryUsage().rss)
+});
+registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', {
+    collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+});
+registry.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds', {
+    collect: gauge => gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+});
+
+module.exports = {
+    registry,
+    metrics,
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
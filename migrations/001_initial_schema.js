@@ -0,0 +1,67 @@
+// 001 - Tables that existed before migrations were introduced.
+// IF NOT EXISTS lets databases created by the old createTables() adopt version 1 as-is.
+module.exports = {
+    description: 'Initial schema: applications, activity logs, system settings',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS applications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                country TEXT NOT NULL,
+                visa_type TEXT NOT NULL,
+                
+                -- Personal Information
+                first_name TEXT NOT NULL,
+                last_name TEXT NOT NULL,
+                email TEXT NOT NULL,
+                phone TEXT NOT NULL,
+                passport_number TEXT NOT NULL,
+                date_of_birth DATE NOT NULL,
+                nationality TEXT NOT NULL,
+                address TEXT,
+                
+                -- Application Details
+                preferred_center TEXT,
+                
+                -- Visa Site Credentials
+                site_email TEXT NOT NULL,
+                site_password TEXT NOT NULL,
+                
+                -- Settings
+                priority INTEGER DEFAULT 1,
+                auto_book BOOLEAN DEFAULT 1,
+                status TEXT DEFAULT 'active',
+                
+                -- Tracking
+                attempts INTEGER DEFAULT 0,
+                slots_found INTEGER DEFAULT 0,
+                last_check DATETIME,
+                booking_result TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS activity_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                application_id INTEGER,
+                country TEXT NOT NULL,
+                action TEXT NOT NULL,
+                details TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                FOREIGN KEY (application_id) REFERENCES applications (id)
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS system_settings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                setting_key TEXT UNIQUE NOT NULL,
+                setting_value TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,10 @@
+// 003 - Detail columns that databases created by early versions never received
+module.exports = {
+    description: 'Add preferred_date, purpose_of_visit and duration_of_stay to applications',
+
+    async up(db) {
+        await db.addColumnIfMissing('applications', 'preferred_date', 'DATE');
+        await db.addColumnIfMissing('applications', 'purpose_of_visit', 'TEXT');
+        await db.addColumnIfMissing('applications', 'duration_of_stay', 'TEXT');
+    }
+};
@@ -0,0 +1,29 @@
+// 004 - Per-application notification channels and a delivery audit trail
+module.exports = {
+    description: 'Add notification_channels to applications and a notification_deliveries log',
+
+    async up(db) {
+        await db.addColumnIfMissing('applications', 'notification_channels', 'TEXT');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS notification_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                application_id INTEGER,
+                event_type TEXT NOT NULL,
+                channel TEXT NOT NULL,
+                recipient TEXT,
+                attempt INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                FOREIGN KEY (application_id) REFERENCES applications (id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_notification_deliveries_application
+            ON notification_deliveries (application_id, created_at)
+        `);
+    }
+};
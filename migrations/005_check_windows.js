@@ -0,0 +1,9 @@
+// 005 - Optional daily window (HH:MM, portal-local time) for each application's checks
+module.exports = {
+    description: 'Add check_window_start and check_window_end to applications',
+
+    async up(db) {
+        await db.addColumnIfMissing('applications', 'check_window_start', 'TEXT');
+        await db.addColumnIfMissing('applications', 'check_window_end', 'TEXT');
+    }
+};
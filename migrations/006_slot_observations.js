@@ -0,0 +1,32 @@
+// 006 - Individual slots seen on the portals, one row per slot per check
+module.exports = {
+    description: 'Create slot_observations',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS slot_observations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                application_id INTEGER,
+                country TEXT NOT NULL,
+                slot_date DATE,
+                slot_time TEXT,
+                center TEXT,
+                visa_category TEXT,
+                label TEXT,
+                observed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                FOREIGN KEY (application_id) REFERENCES applications (id) ON DELETE CASCADE
+            )
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_slot_observations_application
+            ON slot_observations (application_id, observed_at)
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_slot_observations_country_date
+            ON slot_observations (country, slot_date)
+        `);
+    }
+};
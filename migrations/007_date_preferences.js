@@ -0,0 +1,12 @@
+// 007 - Slot matching rules per application, and whether each observed slot matched them
+module.exports = {
+    description: 'Add date/center preference columns to applications and matched to slot_observations',
+
+    async up(db) {
+        await db.addColumnIfMissing('applications', 'earliest_date', 'DATE');
+        await db.addColumnIfMissing('applications', 'latest_date', 'DATE');
+        await db.addColumnIfMissing('applications', 'excluded_weekdays', 'TEXT');
+        await db.addColumnIfMissing('applications', 'preferred_centers', 'TEXT');
+        await db.addColumnIfMissing('slot_observations', 'matched', 'INTEGER DEFAULT 1');
+    }
+};
@@ -0,0 +1,40 @@
+// 008 - Booking modes (off / auto / approval / dry_run) and the approvals they create
+module.exports = {
+    description: 'Add booking_mode to applications and create booking_approvals',
+
+    async up(db) {
+        if (!(await db.columnExists('applications', 'booking_mode'))) {
+            await db.run('ALTER TABLE applications ADD COLUMN booking_mode TEXT');
+            await db.run(`UPDATE applications SET booking_mode = CASE WHEN auto_book = 1 THEN 'auto' ELSE 'off' END`);
+        }
+
+        // One row per prepared booking: held for approval, or recorded by a dry run
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS booking_approvals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                application_id INTEGER NOT NULL,
+                country TEXT NOT NULL,
+                mode TEXT NOT NULL,
+                status TEXT NOT NULL,
+                slot_date DATE,
+                slot_time TEXT,
+                center TEXT,
+                slot_label TEXT,
+                form_data TEXT,
+                expires_at DATETIME,
+                decided_by INTEGER,
+                decided_at DATETIME,
+                result TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                FOREIGN KEY (application_id) REFERENCES applications (id) ON DELETE CASCADE,
+                FOREIGN KEY (decided_by) REFERENCES users (id)
+            )
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_booking_approvals_status
+            ON booking_approvals (status, expires_at)
+        `);
+    }
+};
@@ -0,0 +1,27 @@
+// 009 - Monitor run sessions, so counters and the running state survive a restart
+module.exports = {
+    description: 'Create monitor_sessions',
+
+    async up(db) {
+        // One row per run, from start to stop; an open row (no stopped_at) is the current run
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS monitor_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                environment TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                stopped_at DATETIME,
+                stop_reason TEXT,
+                resumed_from INTEGER,
+                stats TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+                FOREIGN KEY (resumed_from) REFERENCES monitor_sessions (id)
+            )
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_monitor_sessions_started
+            ON monitor_sessions (started_at)
+        `);
+    }
+};
@@ -0,0 +1,21 @@
+// 010 - Runtime settings default to config.json / environment values now.
+// Rows still holding the value insertDefaultSettings seeded were never edited,
+// so dropping them lets the configured default apply.
+const SEEDED = {
+    check_interval: '15',
+    max_concurrent_applications: '10',
+    spain_enabled: 'true',
+    italy_enabled: 'true',
+    auto_restart_on_error: 'true',
+    notification_enabled: 'true'
+};
+
+module.exports = {
+    description: 'Remove unedited seeded rows from system_settings',
+
+    async up(db) {
+        for (const [key, value] of Object.entries(SEEDED)) {
+            await db.run('DELETE FROM system_settings WHERE setting_key = ? AND setting_value = ?', [key, value]);
+        }
+    }
+};
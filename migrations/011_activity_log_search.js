@@ -0,0 +1,49 @@
+// 011 - Indexes for filtering activity_logs and a full-text index over details
+module.exports = {
+    description: 'Index activity_logs for filters and full-text search',
+
+    async up(db) {
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_activity_logs_timestamp
+            ON activity_logs (timestamp)
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_activity_logs_application
+            ON activity_logs (application_id, id)
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_activity_logs_country_action
+            ON activity_logs (country, action)
+        `);
+
+        // External-content FTS5 table: stores only the index, the triggers keep it in step
+        await db.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS activity_logs_fts
+            USING fts5(details, content='activity_logs', content_rowid='id')
+        `);
+
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS activity_logs_fts_insert AFTER INSERT ON activity_logs BEGIN
+                INSERT INTO activity_logs_fts (rowid, details) VALUES (new.id, new.details);
+            END
+        `);
+
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS activity_logs_fts_delete AFTER DELETE ON activity_logs BEGIN
+                INSERT INTO activity_logs_fts (activity_logs_fts, rowid, details) VALUES ('delete', old.id, old.details);
+            END
+        `);
+
+        await db.run(`
+            CREATE TRIGGER IF NOT EXISTS activity_logs_fts_update AFTER UPDATE OF details ON activity_logs BEGIN
+                INSERT INTO activity_logs_fts (activity_logs_fts, rowid, details) VALUES ('delete', old.id, old.details);
+                INSERT INTO activity_logs_fts (rowid, details) VALUES (new.id, new.details);
+            END
+        `);
+
+        // Index the rows written before this migration
+        await db.run(`INSERT INTO activity_logs_fts (activity_logs_fts) VALUES ('rebuild')`);
+    }
+};
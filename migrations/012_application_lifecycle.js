@@ -0,0 +1,22 @@
+// 012 - Explicit application lifecycle states (see application-lifecycle.js)
+module.exports = {
+    description: 'Rename completed applications to booked and track when the status last changed',
+
+    async up(db) {
+        await db.addColumnIfMissing('applications', 'status_changed_at', 'DATETIME');
+
+        await db.run(`UPDATE applications SET status = 'booked' WHERE status = 'completed'`);
+
+        // Anything else written before the lifecycle existed is treated as monitored
+        await db.run(`
+            UPDATE applications SET status = 'active'
+            WHERE status IS NULL OR status NOT IN
+                ('draft', 'active', 'paused', 'slot_found', 'awaiting_approval', 'booked', 'failed', 'expired')
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_applications_status
+            ON applications (status)
+        `);
+    }
+};
@@ -0,0 +1,13 @@
+// 013 - Correlation IDs on activity logs, so one check or request can be traced end to end
+module.exports = {
+    description: 'Record the correlation ID of the cycle, check or request that wrote each activity log',
+
+    async up(db) {
+        await db.addColumnIfMissing('activity_logs', 'correlation_id', 'TEXT');
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_activity_logs_correlation
+            ON activity_logs (correlation_id)
+        `);
+    }
+};
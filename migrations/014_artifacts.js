@@ -0,0 +1,31 @@
+// 014 - Evidence captured from portal pages (see artifacts.js); the files live on disk
+module.exports = {
+    description: 'Create artifacts and link activity logs to them',
+
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS artifacts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                application_id INTEGER,
+                country TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                directory TEXT NOT NULL,
+                screenshot_file TEXT,
+                html_file TEXT,
+                url TEXT,
+                title TEXT,
+                console_errors TEXT,
+                size_bytes INTEGER DEFAULT 0,
+                correlation_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.run(`
+            CREATE INDEX IF NOT EXISTS idx_artifacts_created
+            ON artifacts (created_at)
+        `);
+
+        await db.addColumnIfMissing('activity_logs', 'artifact_id', 'INTEGER');
+    }
+};
@@ -0,0 +1,8 @@
+// 015 - auto_book was stored as NULL for applications created without it; it mirrors booking_mode
+module.exports = {
+    description: 'Fill auto_book from booking_mode where it was left NULL',
+
+    async up(db) {
+        await db.run(`UPDATE applications SET auto_book = CASE WHEN booking_mode = 'auto' THEN 1 ELSE 0 END WHERE auto_book IS NULL`);
+    }
+};
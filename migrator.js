@@ -0,0 +1,132 @@
+// migrator.js - Versioned schema migrations for the SQLite database
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'migrator' });
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+    constructor(sqliteDb, directory = MIGRATIONS_DIR) {
+        this.db = sqliteDb;
+        this.directory = directory;
+    }
+
+    // Promise wrappers handed to each migration's up()
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async columnExists(table, column) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        return columns.some(col => col.name === column);
+    }
+
+    async addColumnIfMissing(table, column, definition) {
+        if (!(await this.columnExists(table, column))) {
+            await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    // Migration files are named NNN_description.js and export { description, up(migrator) }
+    loadMigrations() {
+        return fs.readdirSync(this.directory)
+            .map(file => {
+                const match = FILE_PATTERN.exec(file);
+                if (!match) return null;
+
+                const migration = require(path.join(this.directory, file));
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    description: migration.description || match[2],
+                    up: migration.up
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async ensureVersionTable() {
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                description TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async currentVersion() {
+        await this.ensureVersionTable();
+        const rows = await this.all('SELECT MAX(version) as version FROM schema_version');
+        return rows[0].version || 0;
+    }
+
+    async status() {
+        await this.ensureVersionTable();
+        const applied = await this.all('SELECT version, applied_at FROM schema_version');
+        const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            description: migration.description,
+            applied: appliedAt.has(migration.version),
+            appliedAt: appliedAt.get(migration.version) || null
+        }));
+    }
+
+    /**
+     * Apply every pending migration in order, each inside its own
+     * transaction. Stops at the first failure with that migration rolled back.
+     */
+    async migrate() {
+        const current = await this.currentVersion();
+        const pending = this.loadMigrations().filter(migration => migration.version > current);
+        const applied = [];
+
+        for (const migration of pending) {
+            await this.run('BEGIN TRANSACTION');
+            try {
+                await migration.up(this);
+                await this.run(
+                    'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+                    [migration.version, migration.description]
+                );
+                await this.run('COMMIT');
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+            }
+
+            log.info(`✅ Applied migration ${migration.version}: ${migration.description}`, { version: migration.version });
+            applied.push(migration.version);
+        }
+
+        return applied;
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,225 @@
+// mock-portal/index.js - Offline fake BLS portal for exercising VisaMonitor end to end
+//
+// Serves login, appointment-calendar and booking pages whose markup matches the
+// selectors of the spain and italy providers. Run standalone with:
+//   node mock-portal --scenario slots-appear --port 4000
+const express = require('express');
+const scenarios = require('./scenarios');
+
+const SLOTS = [
+    { date: '2026-11-03', time: '09:30' },
+    { date: '2026-11-05', time: '11:00' },
+    { date: '2026-11-12', time: '14:15' }
+];
+const SLOT_DATES = SLOTS.map(slot => slot.date);
+
+const LOGIN_ERRORS = {
+    captcha: 'Please complete the captcha',
+    credentials: 'Invalid email or password',
+    locked: 'Your account has been locked after too many attempts'
+};
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><title>${title}</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+class MockPortal {
+    constructor(scenarioName = 'no-slots') {
+        this.app = express();
+        this.server = null;
+        this.setScenario(scenarioName);
+        this.setupRoutes();
+    }
+
+    setScenario(name) {
+        if (!scenarios[name]) {
+            throw new Error(`Unknown mock portal scenario "${name}" (available: ${Object.keys(scenarios).join(', ')})`);
+        }
+
+        this.scenarioName = name;
+        this.scenario = scenarios[name];
+        this.reset();
+    }
+
+    // Everything the portal saw, for assertions
+    reset() {
+        this.state = {
+            loginAttempts: 0,
+            successfulLogins: 0,
+            captchaShown: 0,
+            downResponses: 0,
+            appointmentViews: 0,
+            slotsShown: 0,
+            bookingsSubmitted: [],
+            bookingsConfirmed: 0,
+            bookingsRejected: 0
+        };
+    }
+
+    isLoggedIn(req) {
+        return (req.headers.cookie || '').includes('mock_session=1');
+    }
+
+    setupRoutes() {
+        this.app.use(express.urlencoded({ extended: true }));
+        this.app.use(express.json());
+
+        // Control endpoints for tests and manual use
+        this.app.get('/__mock/state', (req, res) => {
+            res.json({ scenario: this.scenarioName, ...this.state });
+        });
+
+        this.app.post('/__mock/scenario', (req, res) => {
+            try {
+                this.setScenario(req.body.name);
+                res.json({ success: true, scenario: this.scenarioName });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        this.app.use('/:country', (req, res, next) => {
+            if (!this.scenario.down) return next();
+            this.state.downResponses++;
+            res.status(503).send(page('Service Unavailable', '<h1>Service temporarily unavailable</h1>'));
+        });
+
+        // Login page - ids match spain (#Email/#Password), names match italy
+        this.app.get('/:country/account/login', (req, res) => {
+            const showCaptcha = this.scenario.captcha;
+            if (showCaptcha) this.state.captchaShown++;
+
+            res.send(page('Login', `
+<form method="POST" action="/${req.params.country}/account/login">
+    ${LOGIN_ERRORS[req.query.error] ? `<div class="validation-summary-errors">${LOGIN_ERRORS[req.query.error]}</div>` : ''}
+    <input type="email" id="Email" name="email">
+    <input type="password" id="Password" name="password">
+    ${showCaptcha ? '<div class="g-recaptcha" data-sitekey="mock-site-key">I am not a robot</div>' : ''}
+    <button type="submit" class="login-button">Login</button>
+</form>`));
+        });
+
+        this.app.post('/:country/account/login', (req, res) => {
+            const country = req.params.country;
+            this.state.loginAttempts++;
+
+            if (this.scenario.captcha && !req.body['g-recaptcha-response']) {
+                return res.redirect(`/${country}/account/login?error=captcha`);
+            }
+            if (this.scenario.accountLocked) {
+                return res.redirect(`/${country}/account/login?error=locked`);
+            }
+            if (this.scenario.loginFails || !req.body.email || !req.body.password) {
+                return res.redirect(`/${country}/account/login?error=credentials`);
+            }
+
+            this.state.successfulLogins++;
+            res.setHeader('Set-Cookie', 'mock_session=1; Path=/; HttpOnly');
+            res.redirect(`/${country}/appointment`);
+        });
+
+        // Appointment calendar
+        this.app.get('/:country/appointment', (req, res) => {
+            const country = req.params.country;
+            if (!this.isLoggedIn(req)) {
+                return res.redirect(`/${country}/account/login`);
+            }
+
+            const hasSlots = this.state.appointmentViews >= this.scenario.slotsAfterViews;
+            this.state.appointmentViews++;
+            if (hasSlots) this.state.slotsShown++;
+
+            const calendar = hasSlots
+                ? SLOTS.map(({ date, time }) =>
+                    `<a class="calendar-day available appointment-slot" href="/${country}/booking?date=${date}" data-date="${date}" data-time="${time}">${date} ${time} - Available</a>`
+                ).join('\n    ')
+                : '<div class="calendar-day unavailable">No slots available</div>';
+
+            res.send(page('Appointment', `
+<select id="VisaType" name="visa_type">
+    <option value="tourist">Tourist</option>
+    <option value="business">Business</option>
+    <option value="study">Study</option>
+</select>
+<select id="Center" name="center">
+    <option value="main">Main Center</option>
+    <option value="islamabad">Islamabad</option>
+    <option value="lahore">Lahore</option>
+</select>
+<div class="calendar">
+    ${calendar}
+</div>`));
+        });
+
+        // Booking form reached by clicking a slot
+        this.app.get('/:country/booking', (req, res) => {
+            const country = req.params.country;
+            if (!this.isLoggedIn(req)) {
+                return res.redirect(`/${country}/account/login`);
+            }
+
+            const date = SLOT_DATES.includes(req.query.date) ? req.query.date : '';
+            const fields = ['FirstName', 'LastName', 'Email', 'Phone', 'PassportNumber', 'DateOfBirth', 'Nationality', 'Address'];
+            res.send(page('Booking', `
+<form method="POST" action="/${country}/booking">
+    <input type="hidden" name="date" value="${date}">
+    ${fields.map(field => `<input type="text" id="${field}" name="${field}">`).join('\n    ')}
+    <button type="submit" class="book-appointment book-now">Book appointment</button>
+</form>`));
+        });
+
+        this.app.post('/:country/booking', (req, res) => {
+            const date = SLOT_DATES.includes(req.body.date) ? req.body.date : 'unknown date';
+            this.state.bookingsSubmitted.push({ country: req.params.country, ...req.body });
+
+            if (this.scenario.bookingResult === 'confirmed') {
+                this.state.bookingsConfirmed++;
+                return res.send(page('Confirmed',
+                    `<div class="booking-confirmed">Appointment confirmed for ${date}</div>`));
+            }
+
+            this.state.bookingsRejected++;
+            res.send(page('Rejected', '<div class="booking-error">The selected slot is no longer available</div>'));
+        });
+    }
+
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+
+    const portal = new MockPortal(option('scenario', 'no-slots'));
+    portal.listen(parseInt(option('port', '4000'), 10)).then(url => {
+        console.log(`🧪 Mock portal (${portal.scenarioName}) running on ${url}`);
+        console.log(`   Login:    ${url}/spain/account/login`);
+        console.log(`   Scenario: POST ${url}/__mock/scenario {"name": "..."}`);
+    });
+}
+
+module.exports = MockPortal;
@@ -0,0 +1,316 @@
+// mock-portal/run-scenarios.js - End-to-end run of the real VisaMonitor against the mock portal
+//
+// Drives processApplicationWithBrowser() with headless Chrome for every scenario
+// and provider, then checks what the portal saw and what the database recorded.
+//   npm run e2e
+//   E2E=1 npm test          (the same run as part of the test suite)
+//   node mock-portal/run-scenarios.js --scenario booking-rejected --country italy
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../database');
+const VisaMonitor = require('../visa-monitor');
+const providerRegistry = require('../providers');
+const { ProviderRegistry } = require('../providers');
+const { FieldCipher } = require('../field-crypto');
+const MockPortal = require('./index');
+
+const APPLICANT = {
+    visa_type: 'tourist',
+    first_name: 'Amina',
+    last_name: 'Khan',
+    email: 'amina@example.com',
+    phone: '+92 300 1234567',
+    passport_number: 'AB1234567',
+    date_of_birth: '1990-04-12',
+    nationality: 'Pakistani',
+    address: '12 Mall Road, Lahore',
+    preferred_center: 'lahore',
+    site_email: 'amina@example.com',
+    site_password: 'portal-password',
+    priority: 5
+};
+
+// Each spec runs `checks` monitor checks against the portal scenario of the same
+// name (or `scenario`), then returns the list of failed expectations
+const SPECS = {
+    'no-slots': {
+        checks: 1,
+        autoBook: false,
+        expect: ({ portal, actions, stats, slots }, check) => {
+            check(portal.successfulLogins === 1, 'logs in once');
+            check(portal.slotsShown === 0, 'portal shows no slots');
+            check(!actions.includes('SLOTS_FOUND'), 'no SLOTS_FOUND logged');
+            check(stats.checks === 1, 'check counted');
+            check(slots.length === 0, 'no slot observations recorded');
+        }
+    },
+    'slots-appear': {
+        checks: 2,
+        autoBook: false,
+        expect: ({ portal, actions, application, slots }, check) => {
+            check(portal.appointmentViews === 2, 'calendar viewed on both checks');
+            check(actions.filter(a => a === 'SLOTS_FOUND').length === 1, 'SLOTS_FOUND logged once');
+            check(slots.length === 3, 'three slot observations recorded');
+            check(slots.some(s => s.slot_date === '2026-11-03' && s.slot_time === '09:30'), 'slot date and time extracted');
+            check(slots.every(s => s.center === APPLICANT.preferred_center), 'selected center recorded');
+            check(application.slots_found === 1, 'slots_found incremented');
+            check(portal.bookingsSubmitted.length === 0, 'no booking without auto_book');
+        }
+    },
+    'login-failure': {
+        checks: 1,
+        autoBook: true,
+        expect: ({ portal, actions, stats, application, logs }, check) => {
+            check(portal.loginAttempts === 1, 'login attempted');
+            check(portal.successfulLogins === 0, 'login rejected');
+            check(portal.appointmentViews === 0, 'calendar never reached');
+            check(!actions.includes('SLOTS_FOUND'), 'no SLOTS_FOUND logged');
+            check(stats.checks === 0, 'failed check not counted');
+            check(logs.some(log => log.action === 'CHECK_FAILED' && log.details.startsWith('invalid_credentials')),
+                'classified as invalid credentials');
+            check(application.status === 'paused', 'application paused');
+        }
+    },
+    'account-locked': {
+        checks: 1,
+        autoBook: false,
+        expect: ({ logs, application }, check) => {
+            check(logs.some(log => log.action === 'CHECK_FAILED' && log.details.startsWith('account_locked')),
+                'classified as account locked');
+            check(application.status === 'paused', 'application paused');
+        }
+    },
+    'portal-down': {
+        checks: 2,
+        autoBook: false,
+        expect: ({ portal, logs, application, schedule }, check) => {
+            check(portal.downResponses === 1, 'second check held back by the backoff');
+            check(logs.some(log => log.action === 'CHECK_FAILED' && log.details.startsWith('portal_down')),
+                'classified as portal down');
+            check(schedule.backoff && schedule.backoff.failures === 1, 'backoff recorded');
+            check(application.status === 'active', 'application stays active');
+        }
+    },
+    'captcha': {
+        checks: 1,
+        autoBook: true,
+        expect: ({ portal, actions, logs, application }, check) => {
+            check(portal.captchaShown >= 1, 'captcha shown');
+            check(portal.successfulLogins === 0, 'unsolved captcha blocks login');
+            check(!actions.includes('SLOTS_FOUND'), 'no SLOTS_FOUND logged');
+            check(logs.some(log => log.action === 'CHECK_FAILED' && log.details.startsWith('captcha_required')),
+                'classified as captcha required');
+            check(application.status === 'active', 'application stays active');
+        }
+    },
+    'booking-confirmed': {
+        checks: 1,
+        autoBook: true,
+        expect: ({ portal, actions, application }, check) => {
+            const booking = portal.bookingsSubmitted[0] || {};
+            check(portal.bookingsConfirmed === 1, 'booking confirmed by portal');
+            check(booking.FirstName === APPLICANT.first_name, 'form filled with applicant name');
+            check(booking.PassportNumber === APPLICANT.passport_number, 'passport decrypted into form');
+            check(actions.includes('BOOKING_SUCCESS'), 'BOOKING_SUCCESS logged');
+            check(application.status === 'booked', 'application booked');
+        }
+    },
+    'booking-rejected': {
+        checks: 1,
+        autoBook: true,
+        expect: ({ portal, actions, application }, check) => {
+            check(portal.bookingsRejected === 1, 'booking rejected by portal');
+            check(actions.includes('SLOTS_FOUND'), 'SLOTS_FOUND logged');
+            check(!actions.includes('BOOKING_SUCCESS'), 'no BOOKING_SUCCESS logged');
+            check(application.status === 'slot_found', 'application still monitored with slots on offer');
+        }
+    },
+    'preferred-slot': {
+        scenario: 'booking-confirmed',
+        checks: 1,
+        autoBook: true,
+        application: { earliest_date: '2026-11-04', latest_date: '2026-11-10' },
+        expect: ({ portal, slots }, check) => {
+            const booking = portal.bookingsSubmitted[0] || {};
+            check(booking.date === '2026-11-05', 'books the first slot inside the preferences');
+            check(slots.filter(s => s.matched === 0).map(s => s.slot_date).join() === '2026-11-12,2026-11-03',
+                'slots outside the preferences recorded as unmatched');
+        }
+    },
+    'no-matching-slot': {
+        scenario: 'booking-confirmed',
+        checks: 1,
+        autoBook: true,
+        application: { latest_date: '2026-11-01' },
+        expect: ({ portal, actions }, check) => {
+            check(portal.bookingsSubmitted.length === 0, 'no booking outside the preferences');
+            check(actions.includes('SLOTS_IGNORED'), 'SLOTS_IGNORED logged');
+            check(!actions.includes('SLOTS_FOUND'), 'no SLOTS_FOUND logged');
+        }
+    },
+    'dry-run': {
+        scenario: 'booking-confirmed',
+        checks: 1,
+        bookingMode: 'dry_run',
+        expect: ({ portal, actions, approvals, application }, check) => {
+            const record = approvals[0] || {};
+            const form = record.form_data || {};
+            check(portal.bookingsSubmitted.length === 0, 'nothing submitted to the portal');
+            check(record.status === 'dry_run' && record.slot_date === '2026-11-03', 'dry run recorded for the first slot');
+            check(form.FirstName === APPLICANT.first_name, 'filled form recorded');
+            check(form.PassportNumber === '[REDACTED]', 'passport masked in the record');
+            check(actions.includes('BOOKING_DRY_RUN'), 'BOOKING_DRY_RUN logged');
+            check(application.status === 'slot_found', 'application still monitored with slots on offer');
+        }
+    },
+    'approval-approved': {
+        scenario: 'booking-confirmed',
+        checks: 2,
+        bookingMode: 'approval',
+        afterChecks: async ({ monitor, db, applicationId }) => {
+            const [pending] = await db.getBookingApprovals({ applicationId, status: 'pending' });
+            if (pending) await monitor.decideApproval(pending.id, true, { id: null, username: 'e2e' });
+        },
+        expect: ({ portal, approvals, application }, check) => {
+            check(approvals.length === 1, 'second check skipped while approval is pending');
+            check(portal.bookingsConfirmed === 1, 'held form submitted after approval');
+            check(approvals[0] && approvals[0].status === 'submitted', 'approval marked submitted');
+            check(application.status === 'booked', 'application booked');
+        }
+    },
+    'approval-rejected': {
+        scenario: 'booking-confirmed',
+        checks: 1,
+        bookingMode: 'approval',
+        afterChecks: async ({ monitor, db, applicationId }) => {
+            const [pending] = await db.getBookingApprovals({ applicationId, status: 'pending' });
+            if (pending) await monitor.decideApproval(pending.id, false, { id: null, username: 'e2e' });
+        },
+        expect: ({ portal, approvals, actions, application }, check) => {
+            check(portal.bookingsSubmitted.length === 0, 'nothing submitted to the portal');
+            check(approvals[0] && approvals[0].status === 'rejected', 'approval marked rejected');
+            check(actions.includes('BOOKING_REJECTED'), 'BOOKING_REJECTED logged');
+            check(application.status === 'active', 'application back to active');
+        }
+    }
+};
+
+// Same adapters, pointed at the mock portal instead of the real sites
+function mockRegistry(portalUrl) {
+    const registry = new ProviderRegistry();
+
+    for (const provider of providerRegistry.list()) {
+        const base = `${portalUrl}/${provider.id}`;
+        registry.register(Object.assign(Object.create(provider), {
+            baseUrl: base,
+            loginUrl: `${base}/account/login`,
+            appointmentUrl: `${base}/appointment`
+        }));
+    }
+
+    return registry;
+}
+
+async function runScenario(scenario, country) {
+    const spec = SPECS[scenario];
+    const portal = new MockPortal(spec.scenario || scenario);
+    const portalUrl = await portal.listen();
+    const dbPath = path.join(os.tmpdir(), `visa-e2e-${process.pid}-${scenario}-${country}.db`);
+    const db = new Database(dbPath, { cipher: new FieldCipher(FieldCipher.generateKey()) });
+    let browser = null;
+
+    try {
+        await db.ready;
+        const applicationId = await db.createApplication({
+            ...APPLICANT,
+            ...spec.application,
+            country,
+            auto_book: spec.autoBook ? 1 : 0,
+            booking_mode: spec.bookingMode || (spec.autoBook ? 'auto' : 'off')
+        });
+
+        const monitor = new VisaMonitor(db, mockRegistry(portalUrl));
+        monitor.isCloud = true;
+        monitor.headless = true;
+
+        browser = await monitor.createBrowser(0);
+        for (let i = 0; i < spec.checks; i++) {
+            const application = await db.getApplicationById(applicationId);
+            // The scheduler skips applications with a booking awaiting approval, paused ones and those backing off
+            if (monitor.hasPendingApproval(applicationId) || application.status === 'paused' ||
+                monitor.scheduler.due([application]).length === 0) continue;
+            await monitor.processApplicationWithBrowser(country, application, browser);
+        }
+        if (spec.afterChecks) {
+            await spec.afterChecks({ monitor, db, applicationId });
+        }
+
+        const logs = await db.getActivityLogs(100);
+        const application = await db.getApplicationById(applicationId);
+        const result = {
+            portal: portal.state,
+            logs,
+            actions: logs.map(log => log.action),
+            schedule: monitor.scheduler.plan([application])[0],
+            application,
+            slots: await db.getSlotObservations({ applicationId }),
+            approvals: await db.getBookingApprovals({ applicationId }),
+            stats: monitor.getStats()[country]
+        };
+
+        const failures = [];
+        spec.expect(result, (condition, message) => {
+            if (!condition) failures.push(message);
+        });
+        return failures;
+
+    } finally {
+        if (browser) await browser.close().catch(() => {});
+        await portal.close();
+        await db.close();
+        fs.rmSync(dbPath, { force: true });
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : null;
+    };
+
+    const scenarioNames = option('scenario') ? [option('scenario')] : Object.keys(SPECS);
+    const countries = option('country') ? [option('country')] : providerRegistry.ids();
+    const results = [];
+
+    for (const scenario of scenarioNames) {
+        if (!SPECS[scenario]) {
+            throw new Error(`Unknown scenario "${scenario}"`);
+        }
+        for (const country of countries) {
+            console.log(`\n🧪 Scenario ${scenario} (${country})`);
+            const failures = await runScenario(scenario, country);
+            results.push({ scenario, country, failures });
+        }
+    }
+
+    console.log('\n📋 End-to-end results');
+    for (const { scenario, country, failures } of results) {
+        console.log(`${failures.length === 0 ? '✅' : '❌'} ${scenario} (${country})`);
+        failures.forEach(failure => console.log(`     expected: ${failure}`));
+    }
+
+    return results.every(result => result.failures.length === 0);
+}
+
+if (require.main === module) {
+    main()
+        .then(passed => process.exit(passed ? 0 : 1))
+        .catch(error => {
+            console.error('❌ End-to-end run failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runScenario, SPECS };
@@ -0,0 +1,55 @@
+// mock-portal/scenarios.js - Scriptable behaviours of the fake consulate portal
+//
+// slotsAfterViews: appointment page views before slots are shown (Infinity = never)
+// loginFails:      every login is rejected as wrong credentials
+// accountLocked:   every login is rejected with a locked-account message
+// down:            every portal page answers HTTP 503
+// captcha:         the login page shows a CAPTCHA and rejects unsolved submits
+// bookingResult:   'confirmed' or 'rejected' once the booking form is submitted
+
+module.exports = {
+    'no-slots': {
+        description: 'Login works, the calendar never has free slots',
+        slotsAfterViews: Infinity,
+        bookingResult: 'confirmed'
+    },
+    'slots-appear': {
+        description: 'Calendar is empty on the first view, slots appear on the next one',
+        slotsAfterViews: 1,
+        bookingResult: 'confirmed'
+    },
+    'login-failure': {
+        description: 'Portal rejects the credentials',
+        loginFails: true,
+        slotsAfterViews: 0,
+        bookingResult: 'confirmed'
+    },
+    'account-locked': {
+        description: 'Portal says the account is locked after too many attempts',
+        accountLocked: true,
+        slotsAfterViews: 0,
+        bookingResult: 'confirmed'
+    },
+    'portal-down': {
+        description: 'Portal answers every page with 503 Service Unavailable',
+        down: true,
+        slotsAfterViews: 0,
+        bookingResult: 'confirmed'
+    },
+    'captcha': {
+        description: 'Login page shows a CAPTCHA that blocks automated logins',
+        captcha: true,
+        slotsAfterViews: 0,
+        bookingResult: 'confirmed'
+    },
+    'booking-confirmed': {
+        description: 'Slots are available and the booking is confirmed',
+        slotsAfterViews: 0,
+        bookingResult: 'confirmed'
+    },
+    'booking-rejected': {
+        description: 'Slots are available but the portal rejects the booking',
+        slotsAfterViews: 0,
+        bookingResult: 'rejected'
+    }
+};
@@ -0,0 +1,36 @@
+// notifications/desktop.js - node-notifier popups (local installs only)
+const notifier = require('node-notifier');
+
+class DesktopChannel {
+    constructor(options = {}) {
+        this.name = 'desktop';
+        this.enabled = options.enabled !== false;
+        this.sound = options.sound !== false;
+    }
+
+    static fromEnvironment({ isCloud, sound }) {
+        return new DesktopChannel({ enabled: !isCloud, sound });
+    }
+
+    isConfigured() {
+        return this.enabled;
+    }
+
+    recipientFor() {
+        return 'desktop';
+    }
+
+    send(notification) {
+        return new Promise((resolve, reject) => {
+            notifier.notify({
+                title: notification.title,
+                message: notification.message,
+                sound: this.sound,
+                wait: false,
+                timeout: 10
+            }, (err) => err ? reject(err) : resolve());
+        });
+    }
+}
+
+module.exports = DesktopChannel;
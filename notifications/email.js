@@ -0,0 +1,46 @@
+// notifications/email.js - SMTP email channel
+const nodemailer = require('nodemailer');
+
+class EmailChannel {
+    constructor(options = {}) {
+        this.name = 'email';
+        this.options = options;
+        this.transporter = options.host ? nodemailer.createTransport({
+            host: options.host,
+            port: options.port || 587,
+            secure: options.secure === true,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        }) : null;
+    }
+
+    static fromEnvironment() {
+        return new EmailChannel({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            from: process.env.SMTP_FROM || process.env.SMTP_USER
+        });
+    }
+
+    isConfigured() {
+        return this.transporter !== null;
+    }
+
+    // A string preference overrides the applicant's own email address
+    recipientFor(application, preference) {
+        return typeof preference === 'string' ? preference : application.email;
+    }
+
+    async send(notification, recipient) {
+        await this.transporter.sendMail({
+            from: this.options.from || 'visa-monitor@localhost',
+            to: recipient,
+            subject: notification.title,
+            text: notification.message
+        });
+    }
+}
+
+module.exports = EmailChannel;
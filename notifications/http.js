@@ -0,0 +1,40 @@
+// notifications/http.js - Minimal JSON POST helper shared by HTTP-based channels
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function postJson(url, payload, headers = {}, timeout = DEFAULT_TIMEOUT_MS) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(new Error(`HTTP ${res.statusCode} from ${target.host}: ${data.substring(0, 200)}`));
+                    return;
+                }
+                resolve({ status: res.statusCode, body: data });
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+module.exports = { postJson };
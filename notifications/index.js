@@ -0,0 +1,111 @@
+// notifications/index.js - Multi-channel notification dispatcher
+const DesktopChannel = require('./desktop');
+const EmailChannel = require('./email');
+const WebhookChannel = require('./webhook');
+const TelegramChannel = require('./telegram');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'notifications' });
+
+const CHANNEL_NAMES = ['desktop', 'email', 'webhook', 'telegram'];
+
+class NotificationDispatcher {
+    constructor(database, channels = [], options = {}) {
+        this.db = database;
+        this.channels = new Map(channels.map(channel => [channel.name, channel]));
+        this.maxAttempts = options.maxAttempts || 3;
+        this.baseDelayMs = options.baseDelayMs || 2000;
+    }
+
+    static defaultChannels({ isCloud, sound = true }) {
+        return [
+            DesktopChannel.fromEnvironment({ isCloud, sound }),
+            EmailChannel.fromEnvironment(),
+            WebhookChannel.fromEnvironment(),
+            TelegramChannel.fromEnvironment()
+        ];
+    }
+
+    configuredChannels() {
+        return Array.from(this.channels.values()).filter(channel => channel.isConfigured());
+    }
+
+    /**
+     * applications.notification_channels holds JSON such as
+     * {"email": true, "telegram": "123456789"}: true uses the channel's default
+     * recipient, a string overrides it. No preference means every configured channel.
+     */
+    channelsFor(application) {
+        let preferences = null;
+        try {
+            preferences = application.notification_channels ? JSON.parse(application.notification_channels) : null;
+        } catch (error) {
+            log.warn(`⚠️ Invalid notification preferences for application ${application.id}`, { applicationId: application.id });
+        }
+
+        return this.configuredChannels()
+            .filter(channel => !preferences || preferences[channel.name])
+            .map(channel => ({
+                channel,
+                recipient: channel.recipientFor(application, preferences ? preferences[channel.name] : true)
+            }))
+            .filter(({ recipient }) => Boolean(recipient));
+    }
+
+    // Resolves once every channel has delivered or used up its retries
+    async dispatch(application, notification) {
+        const targets = this.channelsFor(application);
+
+        // The message names the applicant, so only the title is logged
+        log.info(`🔔 ${notification.title}`, { eventType: notification.eventType, applicationId: application.id || null, channels: targets.length });
+        if (targets.length === 0) {
+            return [];
+        }
+
+        return Promise.all(targets.map(({ channel, recipient }) =>
+            this.deliver(channel, recipient, application, notification)));
+    }
+
+    async deliver(channel, recipient, application, notification) {
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                await channel.send(notification, recipient);
+                await this.record(application, notification, channel, recipient, attempt, 'sent', null);
+                return { channel: channel.name, status: 'sent', attempts: attempt };
+
+            } catch (error) {
+                log.error(`❌ ${channel.name} notification failed (attempt ${attempt}/${this.maxAttempts})`, { channel: channel.name, attempt, error });
+                await this.record(application, notification, channel, recipient, attempt, 'failed', error.message);
+
+                if (attempt < this.maxAttempts) {
+                    await this.delay(this.baseDelayMs * Math.pow(2, attempt - 1));
+                }
+            }
+        }
+
+        return { channel: channel.name, status: 'failed', attempts: this.maxAttempts };
+    }
+
+    async record(application, notification, channel, recipient, attempt, status, error) {
+        try {
+            await this.db.logNotificationDelivery({
+                applicationId: application.id || null,
+                eventType: notification.eventType,
+                channel: channel.name,
+                recipient: String(recipient),
+                attempt,
+                status,
+                error
+            });
+        } catch (err) {
+            log.error('Could not record notification delivery', { error: err });
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = NotificationDispatcher;
+module.exports.CHANNEL_NAMES = CHANNEL_NAMES;
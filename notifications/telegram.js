@@ -0,0 +1,43 @@
+// notifications/telegram.js - Chat bot channel (Telegram Bot API sendMessage)
+const { postJson } = require('./http');
+
+class TelegramChannel {
+    constructor(options = {}) {
+        this.name = 'telegram';
+        this.token = options.token || null;
+        this.apiBase = (options.apiBase || 'https://api.telegram.org').replace(/\/$/, '');
+        this.defaultChatId = options.defaultChatId || null;
+    }
+
+    // TELEGRAM_API_BASE points the channel at a compatible bot API or a local stand-in
+    static fromEnvironment() {
+        return new TelegramChannel({
+            token: process.env.TELEGRAM_BOT_TOKEN,
+            apiBase: process.env.TELEGRAM_API_BASE,
+            defaultChatId: process.env.TELEGRAM_CHAT_ID
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.token);
+    }
+
+    // A string preference is the applicant's chat id
+    recipientFor(application, preference) {
+        return typeof preference === 'string' ? preference : this.defaultChatId;
+    }
+
+    async send(notification, recipient) {
+        const response = await postJson(`${this.apiBase}/bot${this.token}/sendMessage`, {
+            chat_id: recipient,
+            text: `${notification.title}\n${notification.message}`
+        });
+
+        const result = JSON.parse(response.body || '{}');
+        if (result.ok === false) {
+            throw new Error(`Bot API error: ${result.description || 'unknown error'}`);
+        }
+    }
+}
+
+module.exports = TelegramChannel;
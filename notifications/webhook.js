@@ -0,0 +1,60 @@
+// notifications/webhook.js - Generic HTTP webhook signed with HMAC-SHA256
+const crypto = require('crypto');
+const { postJson } = require('./http');
+
+class WebhookChannel {
+    constructor(options = {}) {
+        this.name = 'webhook';
+        this.url = options.url || null;
+        this.secret = options.secret || null;
+    }
+
+    static fromEnvironment() {
+        return new WebhookChannel({
+            url: process.env.WEBHOOK_URL,
+            secret: process.env.WEBHOOK_SECRET
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    // A string preference is a per-application webhook URL
+    recipientFor(application, preference) {
+        return typeof preference === 'string' ? preference : this.url;
+    }
+
+    /**
+     * The configured receiver verifies X-Visa-Monitor-Signature, which is
+     * sha256=HMAC(secret, "<timestamp>.<raw body>").
+     */
+    sign(timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    // Only the configured receiver gets signed requests; the secret is not for per-application URLs
+    async send(notification, recipient) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const body = JSON.stringify({
+            event: notification.eventType,
+            title: notification.title,
+            message: notification.message,
+            country: notification.country,
+            applicationId: notification.applicationId,
+            timestamp: new Date().toISOString()
+        });
+
+        const headers = {
+            'X-Visa-Monitor-Event': notification.eventType,
+            'X-Visa-Monitor-Timestamp': timestamp
+        };
+        if (this.secret && recipient === this.url) {
+            headers['X-Visa-Monitor-Signature'] = this.sign(timestamp, body);
+        }
+
+        await postJson(recipient, body, headers);
+    }
+}
+
+module.exports = WebhookChannel;
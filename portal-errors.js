@@ -0,0 +1,81 @@
+// portal-errors.js - What went wrong on a portal check, and what the monitor does about it
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const ERROR_TYPES = [
+    'invalid_credentials',
+    'account_locked',
+    'captcha_required',
+    'portal_down',
+    'timeout',
+    'selector_not_found',
+    'unknown'
+];
+
+/**
+ * pause:  stop monitoring the application until its owner resumes it
+ * notify: tell the owner (on pause, or on the first failure of a streak)
+ * baseDelayMs/maxDelayMs: otherwise back off per application, doubling from
+ * baseDelayMs up to maxDelayMs while the failures continue
+ */
+const ERROR_POLICIES = {
+    invalid_credentials: { pause: true, notify: true },
+    account_locked: { pause: true, notify: true },
+    captcha_required: { baseDelayMs: 10 * MINUTE, maxDelayMs: 2 * HOUR, notify: true },
+    portal_down: { baseDelayMs: MINUTE, maxDelayMs: 30 * MINUTE },
+    timeout: { baseDelayMs: 30 * SECOND, maxDelayMs: 15 * MINUTE },
+    selector_not_found: { baseDelayMs: 5 * MINUTE, maxDelayMs: 2 * HOUR },
+    unknown: { baseDelayMs: 30 * SECOND, maxDelayMs: 10 * MINUTE }
+};
+
+class PortalError extends Error {
+    constructor(type, message, { cause = null } = {}) {
+        super(message);
+        this.name = 'PortalError';
+        this.type = ERROR_TYPES.includes(type) ? type : 'unknown';
+        this.cause = cause;
+    }
+
+    get policy() {
+        return ERROR_POLICIES[this.type];
+    }
+}
+
+// Providers throw PortalError for what they recognise; puppeteer and network errors are sorted by message
+function classifyError(error) {
+    if (error instanceof PortalError) {
+        return error;
+    }
+
+    const message = String((error && error.message) || error);
+    let type = 'unknown';
+
+    if (/net::ERR_(TIMED_OUT|CONNECTION_TIMED_OUT)/.test(message)) {
+        type = 'timeout';
+    } else if (/net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN/.test(message)) {
+        type = 'portal_down';
+    } else if (/waiting for selector|no element found for selector|failed to find element/i.test(message)) {
+        type = 'selector_not_found';
+    } else if ((error && error.name === 'TimeoutError') || /timeout .*exceeded|timed out/i.test(message)) {
+        type = 'timeout';
+    }
+
+    return new PortalError(type, message, { cause: error });
+}
+
+// "45s", "10m", "2h"
+function formatDelay(ms) {
+    if (ms < MINUTE) return `${Math.round(ms / SECOND)}s`;
+    if (ms < HOUR) return `${Math.round(ms / MINUTE)}m`;
+    return `${Math.round(ms / HOUR * 10) / 10}h`;
+}
+
+module.exports = {
+    PortalError,
+    ERROR_TYPES,
+    ERROR_POLICIES,
+    classifyError,
+    formatDelay
+};
@@ -0,0 +1,340 @@
+// providers/base-provider.js - Base adapter for consulate/BLS-style booking portals
+const { PortalError } = require('../portal-errors');
+const { metrics } = require('../metrics');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'provider' });
+
+const REQUIRED_FIELDS = ['id', 'name', 'loginUrl', 'appointmentUrl'];
+const REQUIRED_SELECTORS = ['email', 'password', 'submitLogin', 'availableSlots', 'bookingButton'];
+
+const DEFAULT_SELECTORS = {
+    captcha: '.g-recaptcha, .captcha, [data-sitekey]',
+    loginError: '.validation-summary-errors, .alert-danger, .error-message, .login-error',
+    confirmation: '.confirmation, .success-message, .booking-confirmed'
+};
+
+// Wording portals use when an account is blocked rather than the password being wrong
+const LOCKED_PATTERN = /locked|blocked|suspended|disabled|too many (attempts|tries)/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Portals print dates as 2026-11-03, 03/11/2026, 03-11-2026 or "3 Nov 2026"; returns YYYY-MM-DD or null
+function normalizeSlotDate(raw) {
+    if (!raw) return null;
+    const text = String(raw).trim();
+    let match;
+
+    if ((match = /(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text))) {
+        return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+    }
+    if ((match = /(\d{1,2})[./-](\d{1,2})[./-](\d{4})/.exec(text))) {
+        return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+    }
+    if ((match = /(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})/i.exec(text))) {
+        const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        if (month > 0) return `${match[3]}-${pad(month)}-${pad(match[1])}`;
+    }
+    return null;
+}
+
+function normalizeSlotTime(raw) {
+    const match = /\b([01]?\d|2[0-3])[:.h]([0-5]\d)\b/.exec(String(raw || ''));
+    return match ? `${pad(match[1])}:${match[2]}` : null;
+}
+
+/**
+ * A provider adapter describes one consulate portal: its URLs, selectors,
+ * login flow and slot parser. The defaults below implement the generic
+ * BLS flow; portals that behave differently override individual methods.
+ */
+class BaseProvider {
+    constructor(config = {}) {
+        for (const field of REQUIRED_FIELDS) {
+            if (!config[field]) {
+                throw new Error(`Provider config is missing "${field}"`);
+            }
+        }
+
+        const selectors = { ...DEFAULT_SELECTORS, ...(config.selectors || {}) };
+        for (const selector of REQUIRED_SELECTORS) {
+            if (!selectors[selector]) {
+                throw new Error(`Provider "${config.id}" is missing the "${selector}" selector`);
+            }
+        }
+
+        this.id = config.id;
+        this.name = config.name;
+        this.flag = config.flag || '🏳️';
+        this.baseUrl = config.baseUrl || null;
+        this.loginUrl = config.loginUrl;
+        this.appointmentUrl = config.appointmentUrl;
+        // IANA zone of the portal's clock, used for check windows (server time when unset)
+        this.timezone = config.timezone || null;
+        this.selectors = selectors;
+    }
+
+    // Moves the portal to another host (countries.<id>.base_url in config.json); paths are kept
+    setBaseUrl(baseUrl) {
+        const rebase = (url) => url && this.baseUrl && url.startsWith(this.baseUrl)
+            ? baseUrl + url.substring(this.baseUrl.length)
+            : url;
+
+        this.loginUrl = rebase(this.loginUrl);
+        this.appointmentUrl = rebase(this.appointmentUrl);
+        this.baseUrl = baseUrl;
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            flag: this.flag,
+            baseUrl: this.baseUrl,
+            timezone: this.timezone
+        };
+    }
+
+    // page.goto that treats a 5xx answer as the portal being down; `name` labels the load time metric
+    async open(page, url, name) {
+        const endTimer = metrics.pageLoad.startTimer({ country: this.id, page: name });
+        let response;
+        try {
+            response = await page.goto(url, { 
+                waitUntil: 'networkidle2', 
+                timeout: 20000 
+            });
+        } finally {
+            endTimer();
+        }
+
+        if (response && response.status() >= 500) {
+            throw new PortalError('portal_down', `${this.name} portal answered HTTP ${response.status()}`);
+        }
+        return response;
+    }
+
+    async login(page, application, monitor) {
+        await this.open(page, this.loginUrl, 'login');
+        
+        await monitor.delay(2000);
+        
+        // Fill login form with human-like typing
+        await page.waitForSelector(this.selectors.email, { timeout: 10000 });
+        await monitor.humanType(page, this.selectors.email, application.site_email);
+        
+        await monitor.delay(1000);
+        
+        await page.waitForSelector(this.selectors.password, { timeout: 5000 });
+        await monitor.humanType(page, this.selectors.password, application.site_password);
+        
+        // Check for CAPTCHA (only in local mode)
+        if (!monitor.isCloud) {
+            const captcha = await page.$(this.selectors.captcha);
+            if (captcha) {
+                log.warn(`⚠️ CAPTCHA detected for ${this.name} - please solve manually`, { country: this.id });
+                
+                try {
+                    await page.waitForFunction((captchaSelector) => {
+                        const captchaElement = document.querySelector(captchaSelector);
+                        return !captchaElement || captchaElement.style.display === 'none';
+                    }, { timeout: 60000 }, this.selectors.captcha);
+                } catch (error) {
+                    throw new PortalError('captcha_required', `CAPTCHA on ${this.name} was not solved within 60 seconds`, { cause: error });
+                }
+            }
+        }
+        
+        await monitor.delay(1000);
+        
+        // Submit login
+        await Promise.all([
+            page.waitForNavigation({ timeout: 15000 }),
+            page.click(this.selectors.submitLogin)
+        ]);
+
+        // Portals answer a rejected login (bad password, unsolved CAPTCHA) with the login form again
+        if (await page.$(this.selectors.password)) {
+            throw await this.loginRejection(page);
+        }
+    }
+
+    // Tells a locked account and a CAPTCHA apart from a wrong password by the login page's message
+    async loginRejection(page) {
+        const message = await page.$eval(this.selectors.loginError, element => element.textContent.trim())
+            .catch(() => '');
+        const detail = message ? `: ${message}` : '';
+
+        if (LOCKED_PATTERN.test(message)) {
+            return new PortalError('account_locked', `${this.name} account is locked${detail}`);
+        }
+        if (/captcha|robot/i.test(message) || await page.$(this.selectors.captcha)) {
+            return new PortalError('captcha_required', `${this.name} portal requires a CAPTCHA${detail}`);
+        }
+        return new PortalError('invalid_credentials', `Login rejected by ${this.name} portal${detail}`);
+    }
+
+    async openAppointmentPage(page, application, monitor) {
+        await this.open(page, this.appointmentUrl, 'appointment');
+        
+        await monitor.delay(3000);
+        
+        // Select visa type if dropdown exists
+        if (this.selectors.visaTypeDropdown) {
+            const visaDropdown = await page.$(this.selectors.visaTypeDropdown);
+            if (visaDropdown) {
+                try {
+                    await page.select(this.selectors.visaTypeDropdown, application.visa_type);
+                    await monitor.delay(1000);
+                } catch (e) {
+                    log.warn('Could not select visa type', { country: this.id, error: e });
+                }
+            }
+        }
+        
+        // Select center if dropdown exists
+        if (application.preferred_center && this.selectors.centerDropdown) {
+            const centerDropdown = await page.$(this.selectors.centerDropdown);
+            if (centerDropdown) {
+                try {
+                    await page.select(this.selectors.centerDropdown, application.preferred_center);
+                    await monitor.delay(1000);
+                } catch (e) {
+                    log.warn('Could not select center', { country: this.id, error: e });
+                }
+            }
+        }
+    }
+
+    /**
+     * Slot parser - resolves to one record per bookable slot shown:
+     * { date: 'YYYY-MM-DD' | null, time: 'HH:MM' | null, center, visaCategory, label, index }.
+     * index is the element's position among availableSlots, used by book().
+     * Dates and times come from data-date/data-time (or datetime/title) attributes,
+     * falling back to the slot text; center and category default to the
+     * dropdown selections made in openAppointmentPage.
+     */
+    async extractSlots(page, application = {}) {
+        const rawSlots = await page.evaluate((selectors) => {
+            const selectedValue = (selector) => {
+                const element = selector ? document.querySelector(selector) : null;
+                return element && element.value ? element.value : null;
+            };
+            const center = selectedValue(selectors.centerDropdown);
+            const visaCategory = selectedValue(selectors.visaTypeDropdown);
+
+            return Array.from(document.querySelectorAll(selectors.availableSlots))
+                .map((slot, index) => ({ slot, index }))
+                .filter(({ slot }) => {
+                    const text = slot.textContent.toLowerCase();
+                    const classes = String(slot.className).toLowerCase();
+                    const isDisabled = slot.disabled || slot.hasAttribute('disabled');
+
+                    return !isDisabled &&
+                           !text.includes('no slots') && 
+                           !text.includes('unavailable') && 
+                           !text.includes('not available') &&
+                           !classes.includes('disabled') &&
+                           !classes.includes('unavailable') &&
+                           (text.includes('available') || text.includes('book') || text.includes('select'));
+                })
+                .map(({ slot, index }) => ({
+                    index,
+                    date: slot.getAttribute('data-date') || slot.getAttribute('datetime') || slot.getAttribute('title'),
+                    time: slot.getAttribute('data-time'),
+                    center: slot.getAttribute('data-center') || center,
+                    visaCategory: slot.getAttribute('data-visa-type') || slot.getAttribute('data-category') || visaCategory,
+                    label: slot.textContent.replace(/\s+/g, ' ').trim().substring(0, 120)
+                }));
+        }, this.selectors);
+
+        return rawSlots.map(slot => ({
+            date: normalizeSlotDate(slot.date) || normalizeSlotDate(slot.label),
+            time: normalizeSlotTime(slot.time) || normalizeSlotTime(slot.label),
+            center: slot.center || application.preferred_center || null,
+            visaCategory: slot.visaCategory || application.visa_type || null,
+            label: slot.label,
+            index: slot.index
+        }));
+    }
+
+    // Resolves to true when at least one bookable slot is shown
+    async parseSlots(page, application) {
+        return (await this.extractSlots(page, application)).length > 0;
+    }
+
+    /**
+     * Opens `slot` (a record from extractSlots, or the first slot shown when
+     * none is given) and fills the booking form without submitting it.
+     * Resolves to true when the final submit button is on the page.
+     */
+    async prepareBooking(page, application, monitor, slot = null) {
+        if (slot && Number.isInteger(slot.index)) {
+            const slotElements = await page.$$(this.selectors.availableSlots);
+            if (!slotElements[slot.index]) {
+                return false;
+            }
+            await slotElements[slot.index].click();
+        } else {
+            await page.click(this.selectors.availableSlots + ':first-child');
+        }
+        await monitor.delay(3000);
+        
+        await monitor.fillApplicationForm(page, application);
+        
+        return Boolean(await page.$(this.selectors.bookingButton));
+    }
+
+    // Field name -> value of the form holding the booking button, as it would be submitted
+    async readBookingForm(page) {
+        return page.evaluate((buttonSelector) => {
+            const button = document.querySelector(buttonSelector);
+            const form = button ? button.closest('form') : null;
+            const fields = {};
+            if (!form) return fields;
+
+            form.querySelectorAll('input, select, textarea').forEach(field => {
+                const name = field.name || field.id;
+                if (!name || ['submit', 'button', 'password'].includes(field.type)) return;
+                if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) return;
+                fields[name] = field.value;
+            });
+            return fields;
+        }, this.selectors.bookingButton);
+    }
+
+    // Clicks the final submit button on a form filled by prepareBooking
+    async submitBooking(page) {
+        const submitButton = await page.$(this.selectors.bookingButton);
+        if (!submitButton) {
+            return false;
+        }
+
+        await submitButton.click();
+        
+        try {
+            await page.waitForSelector(this.selectors.confirmation, { 
+                timeout: 15000 
+            });
+            return true;
+        } catch (confirmationError) {
+            log.warn('⚠️ Could not confirm booking', { country: this.id, error: confirmationError });
+            return false;
+        }
+    }
+
+    async book(page, application, monitor, slot = null) {
+        if (!(await this.prepareBooking(page, application, monitor, slot))) {
+            return false;
+        }
+        return this.submitBooking(page, application, monitor);
+    }
+}
+
+module.exports = BaseProvider;
+module.exports.normalizeSlotDate = normalizeSlotDate;
+module.exports.normalizeSlotTime = normalizeSlotTime;
@@ -0,0 +1,88 @@
+// providers/index.js - Provider adapter registry
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./base-provider');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'providers' });
+
+// Files in this directory that are not portal adapters
+const INTERNAL_MODULES = ['index.js', 'base-provider.js'];
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(adapter) {
+        const provider = adapter instanceof BaseProvider ? adapter : new BaseProvider(adapter);
+
+        if (this.providers.has(provider.id)) {
+            throw new Error(`Provider "${provider.id}" is already registered`);
+        }
+
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    // Register every adapter module (*.js) found in a directory
+    loadDirectory(dir) {
+        if (!fs.existsSync(dir)) {
+            log.error('❌ Provider directory not found', { dir });
+            return;
+        }
+
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.js') && !INTERNAL_MODULES.includes(file))
+            .sort()
+            .forEach(file => {
+                try {
+                    this.register(require(path.join(dir, file)));
+                } catch (error) {
+                    log.error(`❌ Failed to load provider ${file}`, { error });
+                }
+            });
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    ids() {
+        return Array.from(this.providers.keys());
+    }
+
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    // Applies the countries section of config.js (base URL overrides)
+    configure(countries) {
+        for (const [id, country] of Object.entries(countries || {})) {
+            if (country.base_url && this.has(id) && this.get(id).baseUrl !== country.base_url) {
+                this.get(id).setBaseUrl(country.base_url);
+                log.info(`🔗 ${this.get(id).name} portal: ${country.base_url}`, { country: id });
+            }
+        }
+    }
+
+    describe() {
+        return this.list().map(provider => provider.describe());
+    }
+}
+
+const registry = new ProviderRegistry();
+registry.loadDirectory(__dirname);
+
+// Extra adapters can live outside the repo, e.g. VISA_PROVIDERS_DIR=/srv/visa-providers
+if (process.env.VISA_PROVIDERS_DIR) {
+    registry.loadDirectory(path.resolve(process.env.VISA_PROVIDERS_DIR));
+}
+
+module.exports = registry;
+module.exports.ProviderRegistry = ProviderRegistry;
+module.exports.BaseProvider = BaseProvider;
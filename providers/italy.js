@@ -0,0 +1,22 @@
+// providers/italy.js - BLS Italy visa portal (Cameroon)
+const BaseProvider = require('./base-provider');
+
+module.exports = new BaseProvider({
+    id: 'italy',
+    name: 'Italy',
+    flag: '🇮🇹',
+    baseUrl: 'https://blsitalyvisa.com/cameroon',
+    loginUrl: 'https://blsitalyvisa.com/cameroon/account/login',
+    appointmentUrl: 'https://blsitalyvisa.com/cameroon/appointment',
+    timezone: 'Africa/Douala',
+    selectors: {
+        email: '#username, #email, input[name="email"]',
+        password: '#password, input[name="password"]',
+        submitLogin: '#submit, .login-button, button[type="submit"]',
+        availableSlots: '.available, .appointment-slot, .slot-available',
+        bookingButton: '.book-now, .continue, .submit-application',
+        visaTypeDropdown: '#visa_type, select[name="visa_type"]',
+        centerDropdown: '#center, select[name="center"]',
+        captcha: '.g-recaptcha, .captcha, [data-sitekey]'
+    }
+});
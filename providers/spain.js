@@ -0,0 +1,21 @@
+// providers/spain.js - BLS Spain visa portal
+const BaseProvider = require('./base-provider');
+
+module.exports = new BaseProvider({
+    id: 'spain',
+    name: 'Spain',
+    flag: '🇪🇸',
+    baseUrl: 'https://appointment.thespainvisa.com',
+    loginUrl: 'https://appointment.thespainvisa.com/Global/account/login',
+    appointmentUrl: 'https://appointment.thespainvisa.com/Global/bls/Appointment',
+    selectors: {
+        email: '#Email',
+        password: '#Password',
+        submitLogin: 'button[type="submit"]',
+        availableSlots: '.available-date, .calendar-day.available, .appointment-available',
+        bookingButton: '.book-appointment, .submit-btn, .continue-btn',
+        visaTypeDropdown: '#VisaType, #visa_type, select[name="visa_type"]',
+        centerDropdown: '#Center, #center, select[name="center"]',
+        captcha: '.g-recaptcha, .captcha, [data-sitekey]'
+    }
+});
@@ -0,0 +1,186 @@
+// scheduler.js - Per-application check scheduling with priorities and active windows
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+function parseTime(value) {
+    const match = TIME_PATTERN.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// Minutes since midnight of `date` on the wall clock of `timeZone` (server time when null)
+function minutesInZone(date, timeZone) {
+    if (!timeZone) {
+        return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+
+    return part('hour') * 60 + part('minute') + part('second') / 60;
+}
+
+/**
+ * Decides when each application is checked next. Higher priority means a
+ * shorter interval: priority 5 checks every `baseInterval`, each step up or
+ * down scales it by 2^(1/4), so priority 1 waits twice as long and priority
+ * 9 half as long. Applications with check_window_start/end are only due
+ * inside that window, read on the portal's clock (provider.timezone).
+ * Failed checks can push an application further back (recordFailure).
+ */
+class CheckScheduler {
+    constructor(providers, options = {}) {
+        this.providers = providers;
+        this.baseInterval = options.baseInterval || 15000;
+        this.nextRuns = new Map();
+        this.lastRuns = new Map();
+        this.backoffs = new Map(); // id -> { failures, until, type }
+    }
+
+    intervalFor(application) {
+        const priority = Math.min(10, Math.max(1, parseInt(application.priority, 10) || 5));
+        return Math.round(this.baseInterval * Math.pow(2, (5 - priority) / 4));
+    }
+
+    windowFor(application) {
+        const start = parseTime(application.check_window_start);
+        const end = parseTime(application.check_window_end);
+        if (start === null || end === null || start === end) {
+            return null;
+        }
+
+        const provider = this.providers.has(application.country) ? this.providers.get(application.country) : null;
+        return {
+            start,
+            end,
+            timeZone: provider && provider.timezone ? provider.timezone : null,
+            label: `${application.check_window_start}-${application.check_window_end}`
+        };
+    }
+
+    // Windows may wrap midnight, e.g. 22:00-02:00
+    isInWindow(window, date) {
+        if (!window) return true;
+        const now = minutesInZone(date, window.timeZone);
+        return window.start < window.end
+            ? now >= window.start && now < window.end
+            : now >= window.start || now < window.end;
+    }
+
+    // Earliest moment at or after `date` that falls inside the window
+    nextWindowOpening(window, date) {
+        if (this.isInWindow(window, date)) return date;
+        const now = minutesInZone(date, window.timeZone);
+        const minutesUntil = (window.start - now + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        return new Date(date.getTime() + Math.ceil(minutesUntil * 60) * 1000);
+    }
+
+    nextRunFor(application, now = new Date()) {
+        let scheduled = this.nextRuns.get(application.id) || now;
+        const backoff = this.backoffs.get(application.id);
+        if (backoff && backoff.until > scheduled) {
+            scheduled = backoff.until;
+        }
+        const window = this.windowFor(application);
+        return window ? this.nextWindowOpening(window, scheduled) : scheduled;
+    }
+
+    due(applications, now = new Date()) {
+        return applications.filter(application => this.nextRunFor(application, now) <= now);
+    }
+
+    markRun(application, finishedAt = new Date()) {
+        this.lastRuns.set(application.id, finishedAt);
+        this.nextRuns.set(application.id, new Date(finishedAt.getTime() + this.intervalFor(application)));
+    }
+
+    /**
+     * Consecutive failures delay the next check by baseDelayMs, doubling up
+     * to maxDelayMs, on top of the normal interval. Returns the new backoff.
+     */
+    recordFailure(application, { baseDelayMs, maxDelayMs }, type = null, failedAt = new Date()) {
+        const previous = this.backoffs.get(application.id);
+        const failures = previous ? previous.failures + 1 : 1;
+        const delayMs = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, failures - 1));
+        const backoff = { failures, delayMs, until: new Date(failedAt.getTime() + delayMs), type };
+
+        this.backoffs.set(application.id, backoff);
+        return backoff;
+    }
+
+    // A successful check ends the backoff
+    recordSuccess(application) {
+        this.backoffs.delete(application.id);
+    }
+
+    // Rescales pending runs so a new interval takes effect without waiting out the old one
+    setBaseInterval(baseInterval) {
+        const ratio = baseInterval / this.baseInterval;
+        for (const [id, lastRun] of this.lastRuns) {
+            const pending = this.nextRuns.get(id).getTime() - lastRun.getTime();
+            this.nextRuns.set(id, new Date(lastRun.getTime() + Math.round(pending * ratio)));
+        }
+        this.baseInterval = baseInterval;
+    }
+
+    // Milliseconds until the earliest application is due
+    msUntilNext(applications, now = new Date()) {
+        if (applications.length === 0) return null;
+        const earliest = Math.min(...applications.map(application => this.nextRunFor(application, now).getTime()));
+        return Math.max(0, earliest - now.getTime());
+    }
+
+    // Drop state for applications that are no longer active
+    prune(applications) {
+        const ids = new Set(applications.map(application => application.id));
+        for (const id of this.nextRuns.keys()) {
+            if (!ids.has(id)) {
+                this.nextRuns.delete(id);
+                this.lastRuns.delete(id);
+            }
+        }
+        for (const id of this.backoffs.keys()) {
+            if (!ids.has(id)) {
+                this.backoffs.delete(id);
+            }
+        }
+    }
+
+    plan(applications, now = new Date()) {
+        return applications
+            .map(application => {
+                const window = this.windowFor(application);
+                const backoff = this.backoffs.get(application.id);
+                return {
+                    applicationId: application.id,
+                    country: application.country,
+                    name: `${application.first_name} ${application.last_name}`,
+                    priority: application.priority,
+                    intervalMs: this.intervalFor(application),
+                    lastRunAt: this.lastRuns.get(application.id) || null,
+                    nextRunAt: this.nextRunFor(application, now),
+                    window: window ? window.label : null,
+                    timeZone: window ? window.timeZone : null,
+                    inWindow: this.isInWindow(window, now),
+                    backoff: backoff ? { failures: backoff.failures, until: backoff.until, type: backoff.type } : null
+                };
+            })
+            .sort((a, b) => a.nextRunAt - b.nextRunAt);
+    }
+
+    reset() {
+        this.nextRuns.clear();
+        this.lastRuns.clear();
+        this.backoffs.clear();
+    }
+}
+
+module.exports = CheckScheduler;
+module.exports.parseTime = parseTime;
+module.exports.TIME_PATTERN = TIME_PATTERN;
@@ -1,12 +1,76 @@
 // server.js - Using Original VisaMonitor (Universal)
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
 const path = require('path');
 const Database = require('./database');
+const { loadConfig, ConfigError } = require('./config');
+const SettingsService = require('./settings');
+const BackupManager = require('./backups');
+const LogRetention = require('./log-retention');
+const ArtifactStore = require('./artifacts');
+const { DataTransfer, TransferError, EXPORT_TYPES } = require('./data-transfer');
+const { BulkActions } = require('./bulk-actions');
+const { ApplicationLifecycle } = require('./application-lifecycle');
+const { FieldCipher, redactApplication } = require('./field-crypto');
+const { AuthService, ownerScope } = require('./auth');
+const { validateApplication, BOOKING_MODES } = require('./validation');
+const EventStream = require('./event-stream');
+const { AUDIENCE } = require('./event-stream');
 const VisaMonitor = require('./visa-monitor'); // Using your original file
+const providerRegistry = require('./providers');
+const { registry: metricsRegistry, metrics } = require('./metrics');
+const { logger, withCorrelation, newCorrelationId } = require('./logger');
+
+const log = logger.child({ module: 'server' });
+
+// Monitor and browser pool state, read when Prometheus scrapes. Registered once per
+// process; they follow the monitor of the server constructed last.
+let metricsMonitor = null;
+
+function browserPoolHealth() {
+    return metricsMonitor ? metricsMonitor.browserPool.getHealth() : null;
+}
+
+metricsRegistry.gauge('visa_monitor_running', 'Whether monitoring is running (1) or stopped (0)', {
+    collect: gauge => gauge.set({}, metricsMonitor && metricsMonitor.isRunning ? 1 : 0)
+});
+metricsRegistry.gauge('visa_monitor_browser_pool_size', 'Browsers in the pool by state', {
+    labelNames: ['state'],
+    collect: (gauge) => {
+        const health = browserPoolHealth();
+        if (!health) return;
+        gauge.set({ state: 'configured' }, health.size);
+        gauge.set({ state: 'ready' }, health.ready);
+        gauge.set({ state: 'busy' }, health.busy);
+    }
+});
+metricsRegistry.gauge('visa_monitor_browser_pool_waiting', 'Checks waiting for a free browser', {
+    collect: (gauge) => {
+        const health = browserPoolHealth();
+        if (health) gauge.set({}, health.waiting);
+    }
+});
+metricsRegistry.counter('visa_monitor_browser_restarts_total', 'Browsers relaunched after a crash or recycled', {
+    labelNames: ['reason'],
+    collect: (counter) => {
+        const health = browserPoolHealth();
+        if (!health) return;
+        counter.set({ reason: 'crashed' }, health.crashed);
+        counter.set({ reason: 'recycled' }, health.recycled);
+    }
+});
+metricsRegistry.counter('visa_monitor_browser_launch_failures_total', 'Browser launches that failed', {
+    collect: (counter) => {
+        const health = browserPoolHealth();
+        if (health) counter.set({}, health.launchFailures);
+    }
+});
 
 class BackendServer {
-    constructor() {
+    // config is the result of loadConfig() (defaults, config.json, environment)
+    constructor(config = loadConfig()) {
+        this.config = config;
         this.app = express();
         this.isRailway = process.env.RAILWAY_ENVIRONMENT !== undefined;
         this.isRender = process.env.RENDER !== undefined;
@@ -15,13 +79,35 @@ class BackendServer {
         this.setupExpressFirst();
         this.setupDatabase();
         this.setupMonitor();
+        this.setupMetrics();
+        this.setupEventStream();
         this.setupRoutes();
     }
 
     setupExpressFirst() {
-        this.app.use(cors());
+        // Dashboard is served same-origin; other origins must be listed in CORS_ORIGINS
+        const allowedOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+        this.app.use(cors({ origin: allowedOrigins.length > 0 ? allowedOrigins : false }));
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+        // Every request gets a correlation ID (a caller's X-Request-Id is kept) for its logs and activity logs.
+        // Latency is measured per route pattern (/api/applications/:id), never per concrete URL
+        this.app.use((req, res, next) => {
+            const requestId = /^[\w.-]{1,64}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : newCorrelationId();
+            res.set('X-Request-Id', requestId);
+
+            withCorrelation(requestId, () => {
+                const endTimer = metrics.httpDuration.startTimer({ method: req.method });
+                res.on('finish', () => {
+                    const route = this.routeLabel(req);
+                    const seconds = endTimer({ route, status: res.statusCode });
+                    log[route === 'static' ? 'debug' : 'info'](`${req.method} ${req.originalUrl.split('?')[0]}`,
+                        { status: res.statusCode, durationMs: Math.round(seconds * 1000) });
+                });
+                next();
+            });
+        });
         
         // Immediate health check
         this.app.get('/health', (req, res) => {
@@ -45,7 +131,34 @@ class BackendServer {
             });
         });
 
-        console.log('⚡ Express configured with immediate health checks');
+        // Prometheus scrape target; with server.metrics_token set, scrapers send it as a bearer token
+        this.app.get('/metrics', this.asyncHandler(async (req, res) => {
+            const token = this.config.server.metrics_token;
+            const header = req.headers.authorization || '';
+            if (token && !this.tokenMatches(header.replace(/^Bearer\s+/i, ''), token)) {
+                return res.status(401).json({ success: false, error: 'Metrics token required' });
+            }
+            res.type('text/plain; version=0.0.4').send(await metricsRegistry.render());
+        }));
+
+        log.info('⚡ Express configured with immediate health checks');
+    }
+
+    routeLabel(req) {
+        if (req.route) {
+            return req.baseUrl + req.route.path;
+        }
+        return req.originalUrl.startsWith('/api/') ? 'unmatched' : 'static';
+    }
+
+    tokenMatches(given, expected) {
+        const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(digest(given), digest(expected));
+    }
+
+    // The gauges registered below describe this server's monitor from now on
+    setupMetrics() {
+        metricsMonitor = this.monitor;
     }
 
     getPlatform() {
@@ -57,32 +170,75 @@ class BackendServer {
 
     setupDatabase() {
         try {
-            const dbPath = this.isCloud ? './cloud_visa_monitor.db' : './visa_monitor.db';
-            this.db = new Database(dbPath);
-            console.log(`✅ Database initialized: ${dbPath}`);
+            const dbPath = this.config.database.path;
+            const cipher = FieldCipher.fromEnvironment({ enabled: this.config.security.encrypt_passwords });
+            this.db = new Database(dbPath, { cipher });
+            this.auth = new AuthService(this.db);
+            this.lifecycle = new ApplicationLifecycle(this.db);
+            this.backups = BackupManager.fromConfig(this.db, this.config);
+            this.logRetention = LogRetention.fromConfig(this.db, this.config);
+            this.artifacts = ArtifactStore.fromConfig(this.db, this.config);
+            log.info(`✅ Database initialized: ${dbPath}`);
         } catch (error) {
-            console.error('❌ Database error:', error);
+            log.error('❌ Database error', { error });
             throw error;
         }
     }
 
     setupMonitor() {
         try {
-            this.monitor = new VisaMonitor(this.db); // Using your original monitor
-            console.log(`✅ Universal visa monitoring system initialized for ${this.getPlatform()}`);
+            providerRegistry.configure(this.config.countries);
+            this.settings = new SettingsService(this.db, providerRegistry, this.config);
+            this.monitor = new VisaMonitor(this.db, providerRegistry, {
+                config: this.config, settings: this.settings, lifecycle: this.lifecycle, artifacts: this.artifacts
+            }); // Using your original monitor
+            log.info(`✅ Universal visa monitoring system initialized for ${this.getPlatform()}`);
         } catch (error) {
-            console.error('❌ Monitor initialization error:', error);
+            log.error('❌ Monitor initialization error', { error });
             throw error;
         }
     }
 
+    // Pushes monitor events and new activity logs to dashboard subscribers
+    setupEventStream() {
+        this.events = new EventStream({ verify: token => this.auth.userForToken(token) });
+
+        this.monitor.on('event', (type, data) => {
+            this.events.publish(type, data, this.audienceFor(type, data));
+        });
+
+        this.settings.on('change', (changes) => {
+            this.events.publish('settings_changed', { changes });
+        });
+
+        this.lifecycle.on('transition', ({ application, from, to, reason }) => {
+            const ownerId = application.owner_id || null;
+            this.events.publish('application_status', { applicationId: application.id, country: application.country, from, to, reason },
+                ownerId || AUDIENCE.ADMINS);
+        });
+
+        this.db.on('activity', async (id) => {
+            try {
+                const activity = await this.db.getActivityLogById(id);
+                if (!activity) return;
+                const { owner_id: ownerId, ...entry } = activity;
+                this.events.publish('activity', { log: entry }, ownerId ? ownerId : AUDIENCE.ADMINS);
+            } catch (error) {
+                log.error('Could not stream activity log', { error });
+            }
+        });
+    }
+
+    // Same visibility as the REST endpoints: owners see their applications, system errors are admin-only
+    audienceFor(type, data) {
+        if ('ownerId' in data) {
+            return data.ownerId || AUDIENCE.ADMINS;
+        }
+        return ['monitor_error', 'monitoring_failed'].includes(type) ? AUDIENCE.ADMINS : AUDIENCE.EVERYONE;
+    }
+
     setupRoutes() {
         this.app.use(express.static('frontend'));
-        
-        this.app.use((req, res, next) => {
-            setImmediate(() => console.log(`${req.method} ${req.path}`));
-            next();
-        });
 
         // Serve frontend
         this.app.get('/', (req, res) => {
@@ -98,14 +254,53 @@ class BackendServer {
             });
         });
 
+        const requireUser = this.auth.authenticate();
+        const requireAdmin = this.auth.requireAdmin();
+
+        // Account routes
+        this.app.get('/api/auth/status', this.asyncHandler(async (req, res) => {
+            res.json({ setupRequired: (await this.db.countUsers()) === 0 });
+        }));
+
+        // Open only while no account exists (creates the admin); afterwards admins add users
+        this.app.post('/api/auth/register', this.asyncHandler(async (req, res, next) => {
+            if ((await this.db.countUsers()) > 0) {
+                return requireUser(req, res, () => requireAdmin(req, res, next));
+            }
+            next();
+        }), this.asyncHandler(async (req, res) => {
+            const user = await this.auth.register(req.body, req.user);
+            res.json({ success: true, user });
+        }));
+
+        this.app.post('/api/auth/login', this.asyncHandler(async (req, res) => {
+            const session = await this.auth.login(req.body.username, req.body.password);
+            res.json({ success: true, ...session });
+        }));
+
+        this.app.post('/api/auth/logout', requireUser, this.asyncHandler(async (req, res) => {
+            await this.auth.logout(req.token);
+            this.events.disconnect(req.token);
+            res.json({ success: true, message: 'Logged out' });
+        }));
+
+        this.app.get('/api/auth/me', requireUser, (req, res) => {
+            res.json(req.user);
+        });
+
+        this.app.get('/api/users', requireUser, requireAdmin, this.asyncHandler(async (req, res) => {
+            res.json(await this.db.getUsers());
+        }));
+
         // API routes
-        this.app.get('/api/applications', this.asyncHandler(async (req, res) => {
-            const applications = await this.db.getApplications();
-            res.json(applications || []);
+        this.app.get('/api/applications', requireUser, this.asyncHandler(async (req, res) => {
+            const applications = await this.db.getApplications(ownerScope(req.user));
+            res.json((applications || []).map(redactApplication));
         }));
 
-        this.app.post('/api/applications', this.asyncHandler(async (req, res) => {
-            const id = await this.db.createApplication(req.body);
+        this.app.post('/api/applications', requireUser, this.asyncHandler(async (req, res) => {
+            const data = validateApplication(req.body, { allowWebhookUrls: req.user.role === 'admin' });
+            const id = await this.db.createApplication({ ...data, owner_id: req.user.id });
             res.json({ 
                 success: true, 
                 applicationId: id, 
@@ -114,29 +309,298 @@ class BackendServer {
             });
         }));
 
-        this.app.put('/api/applications/:id', this.asyncHandler(async (req, res) => {
-            await this.db.updateApplication(req.params.id, req.body);
+        this.app.put('/api/applications/:id', requireUser, this.asyncHandler(async (req, res) => {
+            const updates = validateApplication(req.body, { partial: true, allowWebhookUrls: req.user.role === 'admin' });
+            const changes = await this.db.updateApplication(req.params.id, updates, ownerScope(req.user));
+            if (changes === 0 && !(await this.db.getApplicationById(req.params.id, ownerScope(req.user)))) {
+                return res.status(404).json({ success: false, error: 'Application not found' });
+            }
             res.json({ success: true, message: 'Application updated' });
         }));
 
-        this.app.delete('/api/applications/:id', this.asyncHandler(async (req, res) => {
-            await this.db.deleteApplication(req.params.id);
+        this.app.delete('/api/applications/:id', requireUser, this.asyncHandler(async (req, res) => {
+            const application = await this.db.getApplicationById(req.params.id, ownerScope(req.user));
+            if (!application || (await new BulkActions(this.db, this.lifecycle).delete(application, req.user)) === 0) {
+                return res.status(404).json({ success: false, error: 'Application not found' });
+            }
             res.json({ success: true, message: 'Application deleted' });
         }));
 
-        this.app.get('/api/stats', this.asyncHandler(async (req, res) => {
-            const stats = await this.db.getSystemStats();
-            res.json({ ...stats, platform: this.getPlatform() });
+        /**
+         * Export of the caller's applications with their history. Plaintext
+         * credentials are only available from the CLI; the API excludes or
+         * encrypts them (body: { format, type, credentials, passphrase }).
+         */
+        this.app.post('/api/export', requireUser, this.asyncHandler(async (req, res) => {
+            const { format = 'json', type = 'applications', credentials = 'exclude', passphrase = null } = req.body || {};
+            if (!['json', 'csv'].includes(format)) {
+                throw new TransferError('format must be json or csv');
+            }
+            if (format === 'csv' && !EXPORT_TYPES.includes(type)) {
+                throw new TransferError(`type must be one of: ${EXPORT_TYPES.join(', ')}`);
+            }
+            if (credentials === 'include') {
+                throw new TransferError('Plaintext credentials can only be exported with the CLI (node cli.js export)', 403);
+            }
+
+            const bundle = await new DataTransfer(this.db).export({ ownerId: ownerScope(req.user), credentials, passphrase });
+            const stamp = bundle.exportedAt.substring(0, 10);
+            await this.db.logActivity(null, 'system', 'APPLICATIONS_EXPORTED',
+                `${req.user.username} exported ${bundle.applications.length} application(s) as ${format} (credentials ${credentials})`);
+
+            if (format === 'csv') {
+                res.attachment(`visa-monitor-${type}-${stamp}.csv`);
+                res.type('text/csv').send(DataTransfer.toCsv(bundle, type));
+            } else {
+                res.attachment(`visa-monitor-export-${stamp}.json`);
+                res.json(bundle);
+            }
+        }));
+
+        // Body: { format: 'json', data: <export> } or { format: 'csv', data: '<csv text>' }, plus passphrase and dryRun
+        this.app.post('/api/import', requireUser, this.asyncHandler(async (req, res) => {
+            const { format = 'json', data, passphrase = null, dryRun = false } = req.body || {};
+            if (!['json', 'csv'].includes(format)) {
+                throw new TransferError('format must be json or csv');
+            }
+            if (data === undefined || data === null) {
+                throw new TransferError('data is required');
+            }
+
+            const summary = await new DataTransfer(this.db).import(DataTransfer.parse(data, format), {
+                ownerId: req.user.id,
+                dedupeOwnerId: ownerScope(req.user),
+                allowWebhookUrls: req.user.role === 'admin',
+                passphrase,
+                dryRun: dryRun === true || dryRun === 'true'
+            });
+            if (!summary.dryRun && summary.imported > 0) {
+                await this.db.logActivity(null, 'system', 'APPLICATIONS_IMPORTED',
+                    `${req.user.username} imported ${summary.imported} application(s), skipped ${summary.duplicates.length} duplicate(s)`);
+            }
+            res.json({ success: summary.errors.length === 0, ...summary });
+        }));
+
+        // Body: { action: pause|resume|priority|delete, ids: [...], priority? }
+        this.app.post('/api/applications/bulk', requireUser, this.asyncHandler(async (req, res) => {
+            const { action, ids, priority } = req.body || {};
+            const result = await new BulkActions(this.db, this.lifecycle).run(action, ids, { priority, user: req.user });
+            res.json({
+                success: true,
+                ...result,
+                message: `${result.updated.length} application(s) updated` +
+                    (result.skipped.length > 0 ? `, ${result.skipped.length} skipped` : '')
+            });
+        }));
+
+        this.app.post('/api/applications/:id/pause', requireUser, this.asyncHandler(async (req, res) => {
+            const application = await this.db.getApplicationById(req.params.id, ownerScope(req.user));
+            if (!application) {
+                return res.status(404).json({ success: false, error: 'Application not found' });
+            }
+            const status = await this.lifecycle.pause(application, req.user);
+            res.json({ success: true, status, message: 'Application paused' });
+        }));
+
+        // Also starts drafts and brings back failed or expired applications
+        this.app.post('/api/applications/:id/resume', requireUser, this.asyncHandler(async (req, res) => {
+            const application = await this.db.getApplicationById(req.params.id, ownerScope(req.user));
+            if (!application) {
+                return res.status(404).json({ success: false, error: 'Application not found' });
+            }
+            const status = await this.lifecycle.resume(application, req.user);
+            res.json({ success: true, status, message: 'Application resumed' });
+        }));
+
+        // Body: { applicants: [{ first_name, last_name, passport_number, date_of_birth, ...overrides }] }
+        this.app.post('/api/applications/:id/clone', requireUser, this.asyncHandler(async (req, res) => {
+            const ids = await new BulkActions(this.db, this.lifecycle).clone(req.params.id, (req.body || {}).applicants, req.user);
+            if (!ids) {
+                return res.status(404).json({ success: false, error: 'Application not found' });
+            }
+            res.json({ success: true, applicationIds: ids, message: `Created ${ids.length} application(s)` });
         }));
 
-        this.app.get('/api/logs', this.asyncHandler(async (req, res) => {
+        this.app.get('/api/applications/:id/notifications', requireUser, this.asyncHandler(async (req, res) => {
+            const application = await this.db.getApplicationById(req.params.id, ownerScope(req.user));
+            if (!application) {
+                return res.status(404).json({ success: false, error: 'Application not found' });
+            }
             const limit = parseInt(req.query.limit) || 50;
-            const logs = await this.db.getActivityLogs(limit);
-            res.json(logs || []);
+            res.json(await this.db.getNotificationDeliveries(application.id, limit));
+        }));
+
+        this.app.post('/api/applications/:id/notifications/test', requireUser, this.asyncHandler(async (req, res) => {
+            const application = await this.db.getApplicationById(req.params.id, ownerScope(req.user));
+            if (!application) {
+                return res.status(404).json({ success: false, error: 'Application not found' });
+            }
+
+            const results = await this.monitor.notifications.dispatch(application, {
+                eventType: 'test',
+                title: '🔔 Visa Monitor test notification',
+                message: `Notifications for ${application.first_name} ${application.last_name} (${application.country}) are working`,
+                country: application.country,
+                applicationId: application.id
+            });
+
+            res.json({
+                success: results.length > 0 && results.every(result => result.status === 'sent'),
+                results,
+                message: results.length === 0 ? 'No notification channel is configured for this application' : undefined
+            });
+        }));
+
+        // Bookings held for approval and dry-run records
+        this.app.get('/api/approvals', requireUser, this.asyncHandler(async (req, res) => {
+            const approvals = await this.db.getBookingApprovals({
+                status: req.query.status || null,
+                applicationId: req.query.application_id ? parseInt(req.query.application_id) : null,
+                limit: Math.min(parseInt(req.query.limit) || 50, 200)
+            }, ownerScope(req.user));
+            res.json(approvals.map(({ owner_id, ...approval }) => approval));
+        }));
+
+        const decideApproval = (approve) => this.asyncHandler(async (req, res) => {
+            const approval = await this.db.getBookingApproval(req.params.id, ownerScope(req.user));
+            if (!approval) {
+                return res.status(404).json({ success: false, error: 'Approval not found' });
+            }
+
+            const status = approval.status === 'pending'
+                ? await this.monitor.decideApproval(approval.id, approve, req.user)
+                : null;
+            if (!status) {
+                return res.status(409).json({ success: false, error: `Approval is no longer pending (${approval.status})` });
+            }
+
+            res.json({
+                success: status === 'submitted' || status === 'rejected',
+                status,
+                message: {
+                    submitted: 'Booking submitted and confirmed by the portal',
+                    rejected: 'Booking discarded',
+                    failed: 'Booking could not be completed'
+                }[status]
+            });
+        });
+
+        this.app.post('/api/approvals/:id/approve', requireUser, decideApproval(true));
+        this.app.post('/api/approvals/:id/reject', requireUser, decideApproval(false));
+
+        // Slots seen on the portals, newest first
+        this.app.get('/api/slots', requireUser, this.asyncHandler(async (req, res) => {
+            const since = req.query.since ? new Date(req.query.since) : null;
+            if (since && isNaN(since)) {
+                return res.status(400).json({ success: false, error: 'since must be a date' });
+            }
+
+            const observations = await this.db.getSlotObservations({
+                applicationId: req.query.application_id ? parseInt(req.query.application_id) : null,
+                country: req.query.country || null,
+                since: since ? since.toISOString().replace('T', ' ').substring(0, 19) : null,
+                limit: Math.min(parseInt(req.query.limit) || 100, 500)
+            }, ownerScope(req.user));
+            res.json(observations);
+        }));
+
+        this.app.get('/api/stats', requireUser, this.asyncHandler(async (req, res) => {
+            const stats = await this.db.getSystemStats(ownerScope(req.user));
+            res.json({ ...stats, platform: this.getPlatform() });
+        }));
+
+        this.app.get('/api/providers', (req, res) => {
+            res.json(this.monitor.providers.describe());
+        });
+
+        // Runtime settings (system_settings); changes apply without a restart
+        this.app.get('/api/settings', requireUser, (req, res) => {
+            res.json(this.settings.describe());
+        });
+
+        this.app.put('/api/settings', requireUser, requireAdmin, this.asyncHandler(async (req, res) => {
+            const changes = await this.settings.update(req.body);
+            const keys = Object.keys(changes);
+
+            if (keys.length > 0) {
+                await this.db.logActivity(null, 'system', 'SETTINGS_UPDATED',
+                    `${req.user.username} changed ${keys.map(key => `${key}=${changes[key]}`).join(', ')}`);
+            }
+
+            res.json({
+                success: true,
+                message: keys.length > 0 ? 'Settings saved' : 'No changes',
+                changes,
+                settings: this.settings.describe()
+            });
+        }));
+
+        this.app.get('/api/events', this.auth.authenticate({ allowQueryToken: true }), (req, res) => {
+            this.events.subscribe(req, res);
+        });
+
+        // Newest first, one page at a time: pass back nextCursor as ?cursor= for the next page
+        this.app.get('/api/logs', requireUser, this.asyncHandler(async (req, res) => {
+            const range = {};
+            for (const key of ['since', 'until']) {
+                const date = req.query[key] ? new Date(req.query[key]) : null;
+                if (date && isNaN(date)) {
+                    return res.status(400).json({ success: false, error: `${key} must be a date` });
+                }
+                range[key] = date ? date.toISOString().replace('T', ' ').substring(0, 19) : null;
+            }
+            if (req.query.cursor && !/^\d+$/.test(req.query.cursor)) {
+                return res.status(400).json({ success: false, error: 'cursor must be the nextCursor of a previous page' });
+            }
+
+            const page = await this.db.searchActivityLogs({
+                applicationId: req.query.application_id ? parseInt(req.query.application_id) : null,
+                country: req.query.country || null,
+                actions: req.query.action ? String(req.query.action).split(',').filter(Boolean) : [],
+                ...range,
+                search: req.query.search || null,
+                correlationId: req.query.correlation_id ? String(req.query.correlation_id) : null,
+                cursor: req.query.cursor ? parseInt(req.query.cursor) : null,
+                limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+            }, ownerScope(req.user));
+            res.json(page);
+        }));
+
+        // Distinct action types, for the dashboard's filter
+        this.app.get('/api/logs/actions', requireUser, this.asyncHandler(async (req, res) => {
+            res.json(await this.db.getActivityLogActions(ownerScope(req.user)));
+        }));
+
+        // Page evidence linked from activity logs (artifact_id)
+        this.app.get('/api/artifacts/:id', requireUser, this.asyncHandler(async (req, res) => {
+            const artifact = await this.db.getArtifactById(req.params.id, ownerScope(req.user));
+            if (!artifact) {
+                return res.status(404).json({ success: false, error: 'Artifact not found or no longer kept' });
+            }
+            const { directory, screenshot_file: screenshotFile, html_file: htmlFile, ...details } = artifact;
+            res.json({ ...details, hasScreenshot: Boolean(screenshotFile), hasHtml: Boolean(htmlFile) });
+        }));
+
+        // <img> and links cannot send headers, so these also take ?access_token=
+        const requireUserOrQueryToken = this.auth.authenticate({ allowQueryToken: true });
+        this.app.get('/api/artifacts/:id/:kind(screenshot|html)', requireUserOrQueryToken, this.asyncHandler(async (req, res) => {
+            const artifact = await this.db.getArtifactById(req.params.id, ownerScope(req.user));
+            const file = artifact && this.artifacts.resolveFile(artifact, req.params.kind);
+            if (!file) {
+                return res.status(404).json({ success: false, error: 'Artifact not found or no longer kept' });
+            }
+
+            if (req.params.kind === 'html') {
+                // The snapshot is the portal's markup: shown inert, never with this origin's privileges
+                res.set('Content-Security-Policy', "sandbox; default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+                res.type('html');
+            }
+            res.set('X-Content-Type-Options', 'nosniff');
+            res.sendFile(file);
         }));
 
         // Universal monitoring endpoints
-        this.app.post('/api/monitoring/start', this.asyncHandler(async (req, res) => {
+        this.app.post('/api/monitoring/start', requireUser, requireAdmin, this.asyncHandler(async (req, res) => {
             try {
                 if (this.monitor.isRunning) {
                     return res.json({
@@ -145,8 +609,9 @@ class BackendServer {
                     });
                 }
 
-                console.log(`🚀 Starting universal monitoring on ${this.getPlatform()}...`);
+                log.info(`🚀 Starting universal monitoring on ${this.getPlatform()}...`, { user: req.user.username });
                 await this.monitor.start();
+                await this.db.setSetting('monitoring_enabled', 'true');
                 
                 res.json({
                     success: true,
@@ -161,7 +626,7 @@ class BackendServer {
                     `Universal visa monitoring started on ${this.getPlatform()}`);
 
             } catch (error) {
-                console.error('Error starting monitoring:', error);
+                log.error('Error starting monitoring', { error });
                 res.status(500).json({
                     success: false,
                     error: error.message,
@@ -171,9 +636,10 @@ class BackendServer {
             }
         }));
 
-        this.app.post('/api/monitoring/stop', this.asyncHandler(async (req, res) => {
+        this.app.post('/api/monitoring/stop', requireUser, requireAdmin, this.asyncHandler(async (req, res) => {
             try {
-                if (!this.monitor.isRunning) {
+                // A failed run waiting for its automatic restart can be stopped too
+                if (!this.monitor.isRunning && !this.monitor.getRestartState()) {
                     return res.json({
                         success: false,
                         message: 'Monitoring is not currently running'
@@ -181,6 +647,7 @@ class BackendServer {
                 }
 
                 await this.monitor.stop();
+                await this.db.setSetting('monitoring_enabled', 'false');
                 
                 res.json({
                     success: true,
@@ -192,7 +659,7 @@ class BackendServer {
                     `Universal visa monitoring stopped on ${this.getPlatform()}`);
 
             } catch (error) {
-                console.error('Error stopping monitoring:', error);
+                log.error('Error stopping monitoring', { error });
                 res.status(500).json({
                     success: false,
                     error: error.message
@@ -200,7 +667,7 @@ class BackendServer {
             }
         }));
 
-        this.app.get('/api/monitoring/status', (req, res) => {
+        this.app.get('/api/monitoring/status', requireUser, (req, res) => {
             const status = {
                 isRunning: this.monitor.isRunning,
                 platform: this.getPlatform(),
@@ -209,20 +676,57 @@ class BackendServer {
                 capabilities: {
                     slotDetection: true,
                     autoBooking: true,
+                    bookingModes: BOOKING_MODES,
                     multiCountry: true,
                     universalBrowsers: true,
-                    desktopNotifications: !this.isCloud
+                    desktopNotifications: !this.isCloud,
+                    notificationChannels: this.monitor.notifications.configuredChannels().map(channel => channel.name)
                 },
                 stats: this.monitor.getStats(),
                 activeCountries: this.monitor.getActiveCountries(),
+                providers: this.monitor.providers.describe(),
                 lastActivity: this.monitor.getLastActivity(),
                 startTime: this.monitor.startTime,
-                browserPool: this.monitor.browserPool ? this.monitor.browserPool.length : 0
+                sessionId: this.monitor.sessionId,
+                restart: this.monitor.getRestartState(),
+                browserPool: this.monitor.browserPool.getHealth()
             };
 
             res.json(status);
         });
 
+        // Upcoming checks for the caller's active applications, soonest first
+        this.app.get('/api/monitoring/schedule', requireUser, this.asyncHandler(async (req, res) => {
+            const applications = await this.db.getApplications(ownerScope(req.user));
+            res.json({
+                isRunning: this.monitor.isRunning,
+                baseIntervalMs: this.monitor.checkInterval,
+                checks: this.monitor.getSchedule(applications || [])
+            });
+        }));
+
+        // Past and current monitor runs, newest first
+        this.app.get('/api/monitoring/sessions', requireUser, requireAdmin, this.asyncHandler(async (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            res.json(await this.db.getMonitorSessions(limit));
+        }));
+
+        // Takes a backup now; retention applies as for scheduled ones
+        this.app.post('/api/admin/backup', requireUser, requireAdmin, this.asyncHandler(async (req, res) => {
+            const backup = await this.backups.create(`manual by ${req.user.username}`);
+            res.json({ success: true, message: `Backup ${backup.name} created`, backup });
+        }));
+
+        this.app.get('/api/admin/backups', requireUser, requireAdmin, this.asyncHandler(async (req, res) => {
+            res.json({
+                directory: this.backups.directory,
+                intervalHours: this.backups.intervalHours,
+                retention: this.backups.retention,
+                nextRunAt: this.backups.nextRunAt,
+                backups: this.backups.list()
+            });
+        }));
+
         // API info
         this.app.get('/api/info', (req, res) => {
             res.json({
@@ -247,11 +751,21 @@ class BackendServer {
                 },
                 endpoints: {
                     health: '/health',
+                    metrics: '/metrics',
                     test: '/api/test',
+                    auth: '/api/auth/*',
                     applications: '/api/applications',
+                    export: '/api/export',
+                    import: '/api/import',
+                    providers: '/api/providers',
                     monitoring: '/api/monitoring/*',
                     stats: '/api/stats',
-                    logs: '/api/logs'
+                    logs: '/api/logs',
+                    slots: '/api/slots',
+                    approvals: '/api/approvals',
+                    settings: '/api/settings',
+                    backups: '/api/admin/backups',
+                    events: '/api/events'
                 }
             });
         });
@@ -268,13 +782,22 @@ class BackendServer {
             res.redirect('/');
         });
 
-        console.log('🛣️ All routes configured with universal monitoring support');
+        log.info('🛣️ All routes configured with universal monitoring support');
     }
 
     asyncHandler(fn) {
         return (req, res, next) => {
             Promise.resolve(fn(req, res, next)).catch(err => {
-                console.error('Async route error:', err);
+                // Expected client errors (AuthError, ValidationError) carry their own status
+                if (err.status && err.status < 500) {
+                    return res.status(err.status).json({
+                        success: false,
+                        error: err.message,
+                        ...(err.fields ? { fields: err.fields } : {})
+                    });
+                }
+
+                log.error('Async route error', { error: err, method: req.method, path: req.originalUrl.split('?')[0] });
                 res.status(500).json({ 
                     error: 'Internal server error',
                     platform: this.getPlatform()
@@ -283,32 +806,53 @@ class BackendServer {
         };
     }
 
-    start() {
-        const port = process.env.PORT || 3000;
-        const host = '0.0.0.0';
+    async start() {
+        const { port, host } = this.config.server;
+
+        // Refuse to serve requests against a schema that failed to migrate
+        await this.db.ready;
+        await this.settings.load();
+
+        const expired = await this.db.expirePendingApprovals('Server restarted before a decision');
+        if (expired > 0) {
+            log.info(`⌛ Expired ${expired} booking approval(s) left pending by the previous run`);
+        }
+        const recovered = await this.lifecycle.recoverInterrupted();
+        if (recovered > 0) {
+            log.info(`🔁 ${recovered} application(s) awaiting approval went back to monitoring`);
+        }
         
         return new Promise((resolve, reject) => {
             this.server = this.app.listen(port, host, (err) => {
                 if (err) {
-                    console.error('❌ Server failed to start:', err);
+                    log.error('❌ Server failed to start', { error: err });
                     reject(err);
                     return;
                 }
 
-                console.log(`🚀 Universal Visa Monitor Server running on ${host}:${port}`);
-                console.log(`🌐 Platform: ${this.getPlatform()}`);
-                console.log(`💾 Database: SQLite (Universal)`);
-                console.log(`🤖 Monitoring: Universal Browser Automation`);
-                console.log(`🎯 Mode: ${this.isCloud ? 'Cloud (Headless)' : 'Local (Visible)'}`);
-                console.log(`🌍 Environment: ${this.monitor.getEnvironment ? this.monitor.getEnvironment() : this.getPlatform()}`);
-                console.log(`📊 Health: http://${host}:${port}/health`);
-                console.log(`✅ Ready for universal monitoring!`);
+                log.info(`🚀 Universal Visa Monitor Server running on ${host}:${port}`);
+                log.info(`🌐 Platform: ${this.getPlatform()}`);
+                log.info(`💾 Database: SQLite (Universal)`);
+                log.info(`🤖 Monitoring: Universal Browser Automation`);
+                log.info(`🎯 Mode: ${this.isCloud ? 'Cloud (Headless)' : 'Local (Visible)'}`);
+                log.info(`🌍 Environment: ${this.monitor.getEnvironment ? this.monitor.getEnvironment() : this.getPlatform()}`);
+                log.info(`📊 Health: http://${host}:${port}/health`);
+                log.info(`✅ Ready for universal monitoring!`);
                 
+                this.backups.start();
+                this.logRetention.start();
+                this.artifacts.start();
+
+                // Browser start-up can take a while; serve requests meanwhile
+                this.monitor.resume().catch((error) => {
+                    log.error('❌ Could not resume monitoring', { error });
+                });
+
                 resolve();
             });
 
             this.server.on('error', (error) => {
-                console.error('❌ Server error:', error);
+                log.error('❌ Server error', { error });
                 reject(error);
             });
 
@@ -318,26 +862,43 @@ class BackendServer {
     }
 
     async shutdown(signal = 'UNKNOWN') {
-        console.log(`🔔 Shutdown signal received: ${signal}`);
+        log.info(`🔔 Shutdown signal received: ${signal}`);
         
         const cleanup = async () => {
-            console.log('🧹 Starting cleanup...');
+            log.info('🧹 Starting cleanup...');
             
-            if (this.monitor && this.monitor.isRunning) {
+            // 'shutdown' leaves monitoring_enabled alone so the next boot resumes
+            if (this.monitor) {
                 try {
-                    await this.monitor.stop();
-                    console.log('✅ Monitor stopped');
+                    await this.monitor.stop('shutdown');
+                    log.info('✅ Monitor stopped');
                 } catch (err) {
-                    console.error('❌ Monitor stop error:', err);
+                    log.error('❌ Monitor stop error', { error: err });
                 }
             }
             
+            if (this.events) {
+                this.events.close();
+            }
+
+            if (this.backups) {
+                this.backups.stop();
+            }
+
+            if (this.logRetention) {
+                this.logRetention.stop();
+            }
+
+            if (this.artifacts) {
+                this.artifacts.stop();
+            }
+            
             if (this.db && this.db.close) {
                 try {
                     await this.db.close();
-                    console.log('✅ Database closed');
+                    log.info('✅ Database closed');
                 } catch (err) {
-                    console.error('❌ Database close error:', err);
+                    log.error('❌ Database close error', { error: err });
                 }
             }
             
@@ -349,17 +910,17 @@ class BackendServer {
                             else resolve();
                         });
                     });
-                    console.log('✅ Server closed');
+                    log.info('✅ Server closed');
                 } catch (err) {
-                    console.error('❌ Server close error:', err);
+                    log.error('❌ Server close error', { error: err });
                 }
             }
             
-            console.log('✅ Cleanup completed');
+            log.info('✅ Cleanup completed');
         };
 
         const cleanupTimeout = setTimeout(() => {
-            console.log('⏰ Cleanup timeout - forcing exit');
+            log.warn('⏰ Cleanup timeout - forcing exit');
             process.exit(0);
         }, 5000);
 
@@ -368,7 +929,7 @@ class BackendServer {
             clearTimeout(cleanupTimeout);
             process.exit(0);
         } catch (error) {
-            console.error('❌ Cleanup error:', error);
+            log.error('❌ Cleanup error', { error });
             clearTimeout(cleanupTimeout);
             process.exit(1);
         }
@@ -377,17 +938,17 @@ class BackendServer {
 
 // Signal handlers
 process.on('SIGTERM', async () => {
-    console.log('🔔 SIGTERM received from cloud platform');
+    log.info('🔔 SIGTERM received from cloud platform');
     if (global.server) {
         await global.server.shutdown('SIGTERM');
     } else {
-        console.log('🔄 No server instance - exiting immediately');
+        log.info('🔄 No server instance - exiting immediately');
         process.exit(0);
     }
 });
 
 process.on('SIGINT', async () => {
-    console.log('🔔 SIGINT received');
+    log.info('🔔 SIGINT received');
     if (global.server) {
         await global.server.shutdown('SIGINT');
     } else {
@@ -397,7 +958,7 @@ process.on('SIGINT', async () => {
 
 // Error handlers
 process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error);
+    log.error('❌ Uncaught Exception', { error });
     if (global.server) {
         global.server.shutdown('UNCAUGHT_EXCEPTION');
     } else {
@@ -406,7 +967,7 @@ process.on('uncaughtException', (error) => {
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection:', reason);
+    log.error('❌ Unhandled Rejection', { error: reason });
     if (global.server) {
         global.server.shutdown('UNHANDLED_REJECTION');
     } else {
@@ -416,17 +977,28 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Start application
 if (require.main === module) {
-    console.log('🚀 Starting Universal Visa Monitor Server...');
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`☁️ Platform: Auto-detected cloud/local`);
-    console.log(`📦 Port: ${process.env.PORT || 3000}`);
-    console.log(`🤖 Browser Automation: Universal (Cloud + Local)`);
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        log.error(`❌ ${error.message}`, { errors: error.errors });
+        process.exit(1);
+    }
+    logger.configure(config.logging);
+
+    log.info('🚀 Starting Universal Visa Monitor Server...');
+    log.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    log.info(`☁️ Platform: Auto-detected cloud/local`);
+    log.info(`🤖 Browser Automation: Universal (Cloud + Local)`);
+    log.info(`⚙️ Configuration: ${config.source || 'defaults'} + environment`);
+    log.info(`📦 Port: ${config.server.port}`);
     
-    const server = new BackendServer();
+    const server = new BackendServer(config);
     global.server = server;
     
     server.start().catch((error) => {
-        console.error('❌ Failed to start server:', error);
+        log.error('❌ Failed to start server', { error });
         process.exit(1);
     });
 }
@@ -0,0 +1,189 @@
+// settings.js - Typed access to system_settings, with validation and change events
+const EventEmitter = require('events');
+const providerRegistry = require('./providers');
+const { ValidationError } = require('./validation');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'settings' });
+
+/**
+ * Every editable row of system_settings. Values are stored as strings and
+ * exposed typed; rows that are missing or unreadable fall back to the default,
+ * which comes from config.js when a configuration is given.
+ * Each provider gets a <country>_enabled switch.
+ */
+function settingDefinitions(providers, config = null) {
+    const monitoring = config ? config.monitoring : {};
+    const countries = config ? config.countries : {};
+    const fallback = (value, otherwise) => value === undefined ? otherwise : value;
+
+    const definitions = {
+        check_interval: {
+            type: 'integer',
+            default: fallback(monitoring.check_interval_seconds, 15),
+            min: 5,
+            max: 3600,
+            label: 'Base check interval (seconds)',
+            description: 'How often a priority-5 application is checked; higher priorities are checked more often'
+        },
+        max_concurrent_applications: {
+            type: 'integer',
+            default: fallback(monitoring.max_concurrent_applications, 10),
+            min: 1,
+            max: 100,
+            label: 'Applications per cycle',
+            description: 'Due applications beyond this many wait for the next cycle, highest priority first'
+        },
+        auto_restart_on_error: {
+            type: 'boolean',
+            default: true,
+            label: 'Restart monitoring after failures',
+            description: 'Retry with increasing delays when the browsers or the monitoring loop fail'
+        },
+        notification_enabled: {
+            type: 'boolean',
+            default: fallback(monitoring.enable_notifications, true),
+            label: 'Send notifications',
+            description: 'Master switch for desktop, email, webhook and Telegram alerts'
+        }
+    };
+
+    for (const provider of providers.list()) {
+        definitions[`${provider.id}_enabled`] = {
+            type: 'boolean',
+            default: countries[provider.id] ? countries[provider.id].enabled : true,
+            label: `Monitor ${provider.flag} ${provider.name}`,
+            description: `Check ${provider.name} applications`
+        };
+    }
+
+    return definitions;
+}
+
+// Returns the typed value or throws a message string, like the rules in validation.js
+function coerce(definition, value) {
+    if (definition.type === 'boolean') {
+        if (value === true || value === 'true' || value === 1 || value === '1') return true;
+        if (value === false || value === 'false' || value === 0 || value === '0') return false;
+        throw 'must be true or false';
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number)) throw 'must be a whole number';
+    if (number < definition.min || number > definition.max) {
+        throw `must be between ${definition.min} and ${definition.max}`;
+    }
+    return number;
+}
+
+// Emits 'change' (changes) with the keys whose value changed, on load and on update
+class SettingsService extends EventEmitter {
+    constructor(database, providers = providerRegistry, config = null) {
+        super();
+        this.db = database;
+        this.definitions = settingDefinitions(providers, config);
+        this.values = {};
+
+        for (const [key, definition] of Object.entries(this.definitions)) {
+            this.values[key] = definition.default;
+        }
+    }
+
+    async load() {
+        const stored = await this.db.getSettings();
+        const changes = {};
+
+        for (const [key, definition] of Object.entries(this.definitions)) {
+            let value = definition.default;
+            if (key in stored) {
+                try {
+                    value = coerce(definition, stored[key]);
+                } catch (message) {
+                    log.warn(`⚠️ Ignoring invalid setting ${key}="${stored[key]}" (${message}), using ${definition.default}`, { key });
+                }
+            }
+            if (value !== this.values[key]) {
+                changes[key] = value;
+            }
+            this.values[key] = value;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            this.emit('change', changes);
+        }
+        return this.all();
+    }
+
+    get(key) {
+        if (!(key in this.definitions)) {
+            throw new Error(`Unknown setting "${key}"`);
+        }
+        return this.values[key];
+    }
+
+    all() {
+        return { ...this.values };
+    }
+
+    // Countries without a switch (no registered provider) are left to the caller
+    isCountryEnabled(country) {
+        const key = `${country}_enabled`;
+        return key in this.definitions ? this.values[key] : true;
+    }
+
+    // Definitions with current values, for the dashboard form
+    describe() {
+        return Object.entries(this.definitions).map(([key, definition]) => ({
+            key,
+            ...definition,
+            value: this.values[key]
+        }));
+    }
+
+    /**
+     * Validates and stores a partial update; throws ValidationError listing
+     * every bad key. Resolves to the settings that actually changed.
+     */
+    async update(input) {
+        const data = input && typeof input === 'object' ? input : {};
+        const errors = {};
+        const values = {};
+
+        for (const [key, value] of Object.entries(data)) {
+            const definition = this.definitions[key];
+            if (!definition) {
+                errors[key] = 'is not an editable setting';
+                continue;
+            }
+            try {
+                values[key] = coerce(definition, value);
+            } catch (message) {
+                if (typeof message !== 'string') throw message;
+                errors[key] = message;
+            }
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors);
+        }
+        if (Object.keys(values).length === 0) {
+            throw new ValidationError({ _: 'No settings supplied' });
+        }
+
+        const changes = {};
+        for (const [key, value] of Object.entries(values)) {
+            if (value === this.values[key]) continue;
+            await this.db.setSetting(key, String(value));
+            this.values[key] = value;
+            changes[key] = value;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            this.emit('change', changes);
+        }
+        return changes;
+    }
+}
+
+module.exports = SettingsService;
+module.exports.settingDefinitions = settingDefinitions;
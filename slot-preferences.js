@@ -0,0 +1,106 @@
+// slot-preferences.js - Per-application rules deciding which observed slots are acceptable
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function parseList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function weekdayOf(date) {
+    return new Date(date + 'T00:00:00Z').getUTCDay();
+}
+
+function daysBetween(a, b) {
+    return Math.abs(new Date(a + 'T00:00:00Z') - new Date(b + 'T00:00:00Z')) / 86400000;
+}
+
+/**
+ * Reads the rule columns of an application:
+ *   earliest_date / latest_date   YYYY-MM-DD bounds, inclusive
+ *   excluded_weekdays             JSON array of 0-6 (Sunday = 0)
+ *   preferred_centers             JSON array, best first; when set only these centers match
+ *   preferred_date                ties are broken by closeness to this date
+ */
+function preferencesFor(application) {
+    return {
+        earliestDate: application.earliest_date || null,
+        latestDate: application.latest_date || null,
+        excludedWeekdays: new Set(parseList(application.excluded_weekdays).map(Number)),
+        preferredCenters: parseList(application.preferred_centers).map(center => String(center).toLowerCase()),
+        preferredDate: application.preferred_date || null
+    };
+}
+
+function hasDateRules(preferences) {
+    return Boolean(preferences.earliestDate || preferences.latestDate || preferences.excludedWeekdays.size > 0);
+}
+
+// Returns null when the slot is acceptable, otherwise the reason it is not
+function rejectionReason(slot, preferences) {
+    if (!slot.date) {
+        return hasDateRules(preferences) ? 'date unknown' : null;
+    }
+    if (preferences.earliestDate && slot.date < preferences.earliestDate) {
+        return `before ${preferences.earliestDate}`;
+    }
+    if (preferences.latestDate && slot.date > preferences.latestDate) {
+        return `after ${preferences.latestDate}`;
+    }
+    if (preferences.excludedWeekdays.has(weekdayOf(slot.date))) {
+        return `falls on ${WEEKDAYS[weekdayOf(slot.date)]}`;
+    }
+    if (preferences.preferredCenters.length > 0 &&
+        !preferences.preferredCenters.includes(String(slot.center || '').toLowerCase())) {
+        return `center ${slot.center || 'unknown'} not preferred`;
+    }
+    return null;
+}
+
+/**
+ * Splits slots into those matching the application's rules, best first
+ * (center rank, then closeness to preferred_date or earliest date, then time),
+ * and the rejected ones with a reason each.
+ */
+function matchSlots(slots, application) {
+    const preferences = preferencesFor(application);
+    const matching = [];
+    const rejected = [];
+
+    for (const slot of slots) {
+        const reason = rejectionReason(slot, preferences);
+        if (reason) {
+            rejected.push({ ...slot, reason });
+        } else {
+            matching.push(slot);
+        }
+    }
+
+    const centerRank = (slot) => {
+        const rank = preferences.preferredCenters.indexOf(String(slot.center || '').toLowerCase());
+        return rank === -1 ? preferences.preferredCenters.length : rank;
+    };
+    const dateScore = (slot) => {
+        if (!slot.date) return Infinity;
+        return preferences.preferredDate ? daysBetween(slot.date, preferences.preferredDate) : new Date(slot.date).getTime();
+    };
+
+    matching.sort((a, b) =>
+        centerRank(a) - centerRank(b) ||
+        dateScore(a) - dateScore(b) ||
+        String(a.time || '').localeCompare(String(b.time || '')));
+
+    return { matching, rejected };
+}
+
+module.exports = {
+    WEEKDAYS,
+    preferencesFor,
+    matchSlots
+};
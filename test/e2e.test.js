@@ -0,0 +1,20 @@
+// test/e2e.test.js - The mock portal scenarios, run only when E2E=1
+//
+// They drive headless Chrome, so they need the browser puppeteer installs
+// (npm run build) or PUPPETEER_EXECUTABLE_PATH, and take a few minutes:
+//   E2E=1 npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const RUNNER = path.join(__dirname, '..', 'mock-portal', 'run-scenarios.js');
+const TIMEOUT_MS = 10 * 60 * 1000;
+
+test('mock portal end-to-end scenarios pass', {
+    skip: process.env.E2E !== '1' && 'set E2E=1 to run the mock portal scenarios',
+    timeout: TIMEOUT_MS
+}, () => {
+    const run = spawnSync(process.execPath, [RUNNER], { encoding: 'utf8', timeout: TIMEOUT_MS });
+    assert.strictEqual(run.status, 0, `npm run e2e failed:\n${run.stdout}\n${run.stderr}`);
+});
@@ -0,0 +1,185 @@
+// test/notifications.test.js - Each channel against a local stand-in for its service
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+
+const WebhookChannel = require('../notifications/webhook');
+const TelegramChannel = require('../notifications/telegram');
+const EmailChannel = require('../notifications/email');
+
+const notification = {
+    eventType: 'SLOT_FOUND',
+    title: 'Slot found',
+    message: 'Spain: 2026-11-03 09:30',
+    country: 'spain',
+    applicationId: 7
+};
+
+// Records every request and answers with respond(request) -> { status, body }
+async function startHttpServer(respond = () => ({ status: 200, body: '{}' })) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+            const reply = respond(request);
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            res.end(reply.body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { requests, server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Just enough SMTP for one plaintext message: no STARTTLS, no AUTH
+async function startSmtpServer() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        const message = { from: null, to: [], data: '' };
+        let buffer = '';
+        let inData = false;
+
+        socket.setEncoding('utf8');
+        socket.write('220 localhost ESMTP test\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                message.data = buffer.substring(0, end);
+                buffer = buffer.substring(end + 5);
+                inData = false;
+                messages.push(message);
+                socket.write('250 OK\r\n');
+            }
+
+            let newline;
+            while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.substring(0, newline);
+                buffer = buffer.substring(newline + 2);
+                const command = line.substring(0, 4).toUpperCase();
+
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 localhost\r\n');
+                } else if (command === 'MAIL') {
+                    message.from = line.match(/<(.*)>/)[1];
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.match(/<(.*)>/)[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { messages, server, port: server.address().port };
+}
+
+test('webhook posts the notification signed with HMAC-SHA256 of "<timestamp>.<body>"', async (t) => {
+    const receiver = await startHttpServer();
+    t.after(() => receiver.server.close());
+
+    const channel = new WebhookChannel({ url: `${receiver.url}/hooks/visa`, secret: 'shh' });
+    await channel.send(notification, channel.url);
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/hooks/visa');
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+    assert.strictEqual(request.headers['x-visa-monitor-event'], 'SLOT_FOUND');
+    assert.match(request.headers['x-visa-monitor-timestamp'], /^\d+$/);
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'shh')
+        .update(`${request.headers['x-visa-monitor-timestamp']}.${request.body}`)
+        .digest('hex');
+    assert.strictEqual(request.headers['x-visa-monitor-signature'], expected);
+
+    const { timestamp, ...payload } = JSON.parse(request.body);
+    assert.deepStrictEqual(payload, {
+        event: 'SLOT_FOUND',
+        title: 'Slot found',
+        message: 'Spain: 2026-11-03 09:30',
+        country: 'spain',
+        applicationId: 7
+    });
+    assert.ok(!Number.isNaN(Date.parse(timestamp)));
+});
+
+test('webhook does not sign requests to a per-application URL', async (t) => {
+    const receiver = await startHttpServer();
+    t.after(() => receiver.server.close());
+
+    const channel = new WebhookChannel({ url: `${receiver.url}/hooks/visa`, secret: 'shh' });
+    await channel.send(notification, `${receiver.url}/applicant/7`);
+
+    const [request] = receiver.requests;
+    assert.strictEqual(request.url, '/applicant/7');
+    assert.strictEqual(request.headers['x-visa-monitor-event'], 'SLOT_FOUND');
+    assert.strictEqual(request.headers['x-visa-monitor-signature'], undefined);
+});
+
+test('webhook rejects when the receiver answers with an error status', async (t) => {
+    const receiver = await startHttpServer(() => ({ status: 500, body: 'boom' }));
+    t.after(() => receiver.server.close());
+
+    const channel = new WebhookChannel({ url: receiver.url });
+    await assert.rejects(channel.send(notification, channel.url), /HTTP 500/);
+});
+
+test('telegram calls sendMessage on the bot API with the chat id and text', async (t) => {
+    const api = await startHttpServer(() => ({ status: 200, body: '{"ok":true,"result":{}}' }));
+    t.after(() => api.server.close());
+
+    const channel = new TelegramChannel({ token: '123:abc', apiBase: `${api.url}/`, defaultChatId: '42' });
+    await channel.send(notification, channel.recipientFor({}, true));
+
+    assert.strictEqual(api.requests.length, 1);
+    const [request] = api.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/bot123:abc/sendMessage');
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(request.body), {
+        chat_id: '42',
+        text: 'Slot found\nSpain: 2026-11-03 09:30'
+    });
+});
+
+test('telegram surfaces a Bot API error description', async (t) => {
+    const api = await startHttpServer(() => ({ status: 200, body: '{"ok":false,"description":"chat not found"}' }));
+    t.after(() => api.server.close());
+
+    const channel = new TelegramChannel({ token: '123:abc', apiBase: api.url });
+    await assert.rejects(channel.send(notification, '999'), /Bot API error: chat not found/);
+});
+
+test('email sends one message through SMTP with the title as subject', async (t) => {
+    const smtp = await startSmtpServer();
+    t.after(() => smtp.server.close());
+
+    const channel = new EmailChannel({ host: '127.0.0.1', port: smtp.port, from: 'monitor@example.test' });
+    await channel.send(notification, channel.recipientFor({ email: 'applicant@example.test' }, true));
+
+    assert.strictEqual(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.strictEqual(message.from, 'monitor@example.test');
+    assert.deepStrictEqual(message.to, ['applicant@example.test']);
+
+    const [head, body] = message.data.split('\r\n\r\n');
+    assert.match(head, /^From: monitor@example\.test$/m);
+    assert.match(head, /^To: applicant@example\.test$/m);
+    assert.match(head, /^Subject: Slot found$/m);
+    assert.strictEqual(body.trim(), 'Spain: 2026-11-03 09:30');
+});
@@ -0,0 +1,326 @@
+// validation.js - Request validation for the applications resource
+const providerRegistry = require('./providers');
+const { REDACTED } = require('./field-crypto');
+const { CHANNEL_NAMES } = require('./notifications');
+const { TIME_PATTERN } = require('./scheduler');
+const { WEEKDAYS } = require('./slot-preferences');
+
+const BOOKING_MODES = ['off', 'auto', 'approval', 'dry_run'];
+
+const VISA_TYPES = ['tourist', 'business', 'study', 'work', 'family', 'medical', 'conference', 'transit'];
+
+class ValidationError extends Error {
+    // fields maps each invalid field to a message the dashboard can show next to it
+    constructor(fields) {
+        super('Validation failed');
+        this.name = 'ValidationError';
+        this.status = 422;
+        this.fields = fields;
+    }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(value + 'T00:00:00Z');
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+// Lists arrive as arrays, comma-separated text or the JSON text they are stored as
+function listItems(value) {
+    if (Array.isArray(value)) return value;
+
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            const items = JSON.parse(text);
+            if (Array.isArray(items)) return items;
+        } catch (e) {
+            // Not JSON after all; split it like any other text
+        }
+    }
+    return text.split(',');
+}
+
+// Each rule returns the normalized value or throws a message string
+const rules = {
+    text: (max) => (value) => {
+        const text = String(value).trim();
+        if (text.length === 0) throw 'must not be empty';
+        if (text.length > max) throw `must be at most ${max} characters`;
+        return text;
+    },
+
+    email: (value) => {
+        const email = String(value).trim();
+        if (!EMAIL_PATTERN.test(email)) throw 'must be a valid email address';
+        return email;
+    },
+
+    phone: (value) => {
+        const phone = String(value).trim();
+        if (!/^\+?[0-9\s\-()]{6,20}$/.test(phone)) throw 'must be a valid phone number';
+        return phone;
+    },
+
+    passport: (value) => {
+        const passport = String(value).replace(/\s+/g, '').toUpperCase();
+        if (!/^[A-Z0-9]{6,12}$/.test(passport)) throw 'must be 6-12 letters or digits';
+        return passport;
+    },
+
+    pastDate: (value) => {
+        const date = String(value).trim();
+        if (!isValidDate(date)) throw 'must be a date in YYYY-MM-DD format';
+        if (new Date(date) >= new Date()) throw 'must be in the past';
+        return date;
+    },
+
+    country: (value) => {
+        const country = String(value).trim().toLowerCase();
+        if (!providerRegistry.has(country)) {
+            throw `must be one of: ${providerRegistry.ids().join(', ')}`;
+        }
+        return country;
+    },
+
+    visaType: (value) => {
+        const visaType = String(value).trim().toLowerCase();
+        if (!VISA_TYPES.includes(visaType)) throw `must be one of: ${VISA_TYPES.join(', ')}`;
+        return visaType;
+    },
+
+    priority: (value) => {
+        const priority = Number(value);
+        if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+            throw 'must be a whole number from 1 to 10';
+        }
+        return priority;
+    },
+
+    boolean: (value) => {
+        if (value === true || value === 1 || value === '1' || value === 'true') return 1;
+        if (value === false || value === 0 || value === '0' || value === 'false') return 0;
+        throw 'must be true or false';
+    },
+
+    // {"email": true, "telegram": "123456"} - true uses the default recipient, a string overrides it
+    channels: (value) => {
+        let channels = value;
+        if (typeof value === 'string') {
+            try {
+                channels = JSON.parse(value);
+            } catch (e) {
+                throw 'must be a JSON object';
+            }
+        }
+        if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+            throw 'must be an object of channel preferences';
+        }
+
+        const result = {};
+        for (const [channel, preference] of Object.entries(channels)) {
+            if (!CHANNEL_NAMES.includes(channel)) {
+                throw `has unknown channel "${channel}" (use ${CHANNEL_NAMES.join(', ')})`;
+            }
+            if (preference === false || preference === null || preference === '') continue;
+            if (preference === true) {
+                result[channel] = true;
+                continue;
+            }
+
+            const recipient = String(preference).trim();
+            if (channel === 'email' && !EMAIL_PATTERN.test(recipient)) throw 'has an invalid email recipient';
+            if (channel === 'webhook' && !/^https?:\/\/\S+$/.test(recipient)) throw 'has an invalid webhook URL';
+            if (channel === 'telegram' && !/^(-?\d+|@\w{5,})$/.test(recipient)) throw 'has an invalid chat id';
+            if (channel === 'desktop') throw 'desktop takes true or false';
+            result[channel] = recipient;
+        }
+        return JSON.stringify(result);
+    },
+
+    date: (value) => {
+        const date = String(value).trim();
+        if (!isValidDate(date)) throw 'must be a date in YYYY-MM-DD format';
+        return date;
+    },
+
+    // [0, 6], ["saturday", "sunday"] or "sat,sun" - stored as a JSON array of 0-6 (Sunday = 0)
+    weekdays: (value) => {
+        const items = listItems(value);
+        const days = new Set();
+
+        for (const item of items) {
+            const text = String(item).trim().toLowerCase();
+            if (text === '') continue;
+            const day = /^[0-6]$/.test(text) ? parseInt(text, 10) : WEEKDAYS.findIndex(name => name.startsWith(text) && text.length >= 3);
+            if (day === -1) throw `has an unknown weekday "${item}"`;
+            days.add(day);
+        }
+
+        if (days.size === WEEKDAYS.length) throw 'cannot exclude every day of the week';
+        return JSON.stringify(Array.from(days).sort());
+    },
+
+    // Ranked list, best first: ["lahore", "islamabad"] or "lahore, islamabad"
+    centers: (value) => {
+        const items = listItems(value);
+        const centers = items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+
+        if (centers.length > 10) throw 'must list at most 10 centers';
+        if (centers.some(center => center.length > 100)) throw 'has a center name longer than 100 characters';
+        return JSON.stringify(Array.from(new Set(centers)));
+    },
+
+    bookingMode: (value) => {
+        const mode = String(value).trim().toLowerCase();
+        if (!BOOKING_MODES.includes(mode)) throw `must be one of: ${BOOKING_MODES.join(', ')}`;
+        return mode;
+    },
+
+    time: (value) => {
+        const time = String(value).trim();
+        if (!TIME_PATTERN.test(time)) throw 'must be a time in HH:MM format';
+        return time;
+    },
+
+    password: (value) => {
+        if (typeof value !== 'string' || value.length === 0) throw 'must not be empty';
+        return value;
+    }
+};
+
+/**
+ * Fields a client may set on an application. Anything else (owner_id,
+ * status, counters, timestamps) is managed by the server.
+ */
+const APPLICATION_SCHEMA = {
+    country: { required: true, rule: rules.country },
+    visa_type: { required: true, rule: rules.visaType },
+    first_name: { required: true, rule: rules.text(100) },
+    last_name: { required: true, rule: rules.text(100) },
+    email: { required: true, rule: rules.email },
+    phone: { required: true, rule: rules.phone },
+    passport_number: { required: true, rule: rules.passport },
+    date_of_birth: { required: true, rule: rules.pastDate },
+    nationality: { required: true, rule: rules.text(60) },
+    address: { required: false, rule: rules.text(255) },
+    preferred_center: { required: false, rule: rules.text(100) },
+    site_email: { required: true, rule: rules.email },
+    site_password: { required: true, rule: rules.password },
+    priority: { required: false, rule: rules.priority },
+    auto_book: { required: false, rule: rules.boolean },
+    booking_mode: { required: false, rule: rules.bookingMode },
+    notification_channels: { required: false, rule: rules.channels },
+    check_window_start: { required: false, rule: rules.time },
+    check_window_end: { required: false, rule: rules.time },
+    preferred_date: { required: false, rule: rules.date },
+    earliest_date: { required: false, rule: rules.date },
+    latest_date: { required: false, rule: rules.date },
+    excluded_weekdays: { required: false, rule: rules.weekdays },
+    preferred_centers: { required: false, rule: rules.centers }
+};
+
+const EDITABLE_FIELDS = Object.keys(APPLICATION_SCHEMA);
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// The webhook URL in a stored notification_channels value, if it names one
+function webhookUrlIn(channels) {
+    const preference = channels ? JSON.parse(channels).webhook : undefined;
+    return typeof preference === 'string' ? preference : null;
+}
+
+/**
+ * Validate a create (partial = false) or update (partial = true) payload.
+ * Returns the normalized values; throws ValidationError listing every bad field.
+ * A per-application webhook URL makes the server send requests to any host,
+ * so it is only accepted with allowWebhookUrls (an admin is making the change).
+ */
+function validateApplication(input, { partial = false, allowWebhookUrls = false } = {}) {
+    const data = input && typeof input === 'object' ? input : {};
+    const errors = {};
+    const values = {};
+
+    for (const key of Object.keys(data)) {
+        if (!APPLICATION_SCHEMA[key]) {
+            errors[key] = 'is not an editable field';
+        }
+    }
+
+    for (const [field, definition] of Object.entries(APPLICATION_SCHEMA)) {
+        if (!(field in data) && partial) continue;
+
+        const value = data[field];
+
+        if (isBlank(value)) {
+            if (definition.required) {
+                errors[field] = 'is required';
+            } else if (field in data) {
+                values[field] = null;
+            }
+            continue;
+        }
+
+        // The dashboard echoes redacted secrets back unchanged on edit
+        if (partial && value === REDACTED) continue;
+
+        try {
+            values[field] = definition.rule(value);
+        } catch (message) {
+            if (typeof message !== 'string') throw message;
+            errors[field] = message;
+        }
+    }
+
+    // A window needs both ends; on update only check the pair when one of them is being set
+    if (!partial || 'check_window_start' in values || 'check_window_end' in values) {
+        const hasStart = Boolean(values.check_window_start);
+        const hasEnd = Boolean(values.check_window_end);
+        if (hasStart !== hasEnd && !errors.check_window_start && !errors.check_window_end) {
+            errors[hasStart ? 'check_window_end' : 'check_window_start'] = 'is required when the other end of the window is set';
+        } else if (hasStart && values.check_window_start === values.check_window_end) {
+            errors.check_window_end = 'must differ from the window start';
+        }
+    }
+
+    if (!allowWebhookUrls && !errors.notification_channels && webhookUrlIn(values.notification_channels)) {
+        errors.notification_channels = 'can only name a webhook URL when an admin sets it';
+    }
+
+    if (values.earliest_date && values.latest_date && values.latest_date < values.earliest_date &&
+        !errors.earliest_date && !errors.latest_date) {
+        errors.latest_date = 'must not be before the earliest date';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    if (partial && Object.keys(values).length === 0) {
+        throw new ValidationError({ _: 'No editable fields supplied' });
+    }
+
+    // auto_book is kept for older clients; booking_mode wins when both are sent
+    if (values.booking_mode) {
+        values.auto_book = values.booking_mode === 'auto' ? 1 : 0;
+    } else if (values.auto_book !== undefined && values.auto_book !== null) {
+        values.booking_mode = values.auto_book ? 'auto' : 'off';
+    }
+
+    return values;
+}
+
+module.exports = {
+    ValidationError,
+    APPLICATION_SCHEMA,
+    EDITABLE_FIELDS,
+    VISA_TYPES,
+    BOOKING_MODES,
+    validateApplication,
+    isValidDate
+};
@@ -1,21 +1,54 @@
 // visa-monitor.js - Universal Version (Works in Cloud + Local)
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-const notifier = require('node-notifier');
+const EventEmitter = require('events');
+const providerRegistry = require('./providers');
+const CheckScheduler = require('./scheduler');
+const { matchSlots } = require('./slot-preferences');
+const { SENSITIVE_FIELDS, REDACTED } = require('./field-crypto');
+const NotificationDispatcher = require('./notifications');
+const SettingsService = require('./settings');
+const { loadConfig } = require('./config');
+const { ApplicationLifecycle, TransitionError, MONITORED_STATES } = require('./application-lifecycle');
+const { BrowserPool } = require('./browser-pool');
+const ArtifactStore = require('./artifacts');
+const { classifyError, formatDelay } = require('./portal-errors');
+const { metrics } = require('./metrics');
+const { logger, withCorrelation, newCorrelationId, currentCorrelationId } = require('./logger');
 
-puppeteer.use(StealthPlugin());
+const log = logger.child({ module: 'monitor' });
 
-class VisaMonitor {
-    constructor(database) {
+let stealthEnabled = false;
+
+// Emits 'event' (type, data) for every monitoring step; application events carry ownerId
+class VisaMonitor extends EventEmitter {
+    // config is the result of loadConfig(); settings defaults to a SettingsService built from it
+    constructor(database, providers = providerRegistry, { config = loadConfig(), settings = null, lifecycle = null, artifacts = null } = {}) {
+        super();
         this.db = database;
+        this.config = config;
+        this.settings = settings || new SettingsService(database, providers, config);
+        this.lifecycle = lifecycle || new ApplicationLifecycle(database);
+        this.artifacts = artifacts || ArtifactStore.fromConfig(database, config);
         this.isRunning = false;
-        this.monitorInterval = null;
+        this.monitorTimer = null;
+        this.cycleRunning = false;
         this.startTime = null;
-        this.stats = {
-            spain: { checks: 0, slotsFound: 0, bookings: 0 },
-            italy: { checks: 0, slotsFound: 0, bookings: 0 }
-        };
+        this.stats = {};
         this.lastActivity = null;
+
+        // Persisted run session (monitor_sessions) and auto_restart_on_error state
+        this.sessionId = null;
+        this.lastSessionId = null;
+        this.starting = null; // in-flight start(), awaited by stop()
+        this.stopGeneration = 0; // bumped by every deliberate stop, so a racing restart can tell
+        this.consecutiveCycleErrors = 0;
+        this.maxCycleErrors = 3;
+        this.restartTimer = null;
+        this.restartAt = null;
+        this.restartAttempts = 0;
+        this.maxRestartAttempts = 5;
+        this.restartBaseDelayMs = 30000;
         
         // Environment detection
         this.isRender = process.env.RENDER !== undefined;
@@ -23,53 +56,92 @@ class VisaMonitor {
         this.isVercel = process.env.VERCEL === '1';
         this.isCloud = this.isRender || this.isRailway || this.isVercel || process.env.NODE_ENV === 'production';
         
-        console.log(`🌍 Environment: ${this.getEnvironment()}`);
-        console.log(`🤖 Browser mode: ${this.isCloud ? 'Headless (Cloud)' : 'Visible (Local)'}`);
+        log.info(`🌍 Environment: ${this.getEnvironment()}`);
+        this.headless = config.browser.headless;
+        this.browserTimeoutMs = config.browser.timeout_seconds * 1000;
+        log.info(`🤖 Browser mode: ${this.headless ? 'Headless' : 'Visible'} (${this.isCloud ? 'Cloud' : 'Local'})`);
+
+        // puppeteer-extra plugins are process-wide
+        if (config.browser.enable_stealth && !stealthEnabled) {
+            puppeteer.use(StealthPlugin());
+            stealthEnabled = true;
+        }
         
-        // Browser pool for rotation (cloud-optimized)
-        this.browserPool = [];
-        this.maxBrowsers = this.isCloud ? 1 : 3; // Single browser for cloud, multiple for local
-        this.checkInterval = this.isCloud ? 45000 : 15000; // Longer intervals for cloud
+        // Browsers are checked out per country; crashed or worn-out ones are replaced by the pool
+        this.browserPool = BrowserPool.fromConfig(index => this.createBrowser(index), config);
+        this.browserPool.on('crashed', ({ index }) => {
+            this.db.logActivity(null, 'system', 'BROWSER_CRASHED', `Browser ${index + 1} disconnected; relaunching`)
+                .catch(error => log.error('❌ Could not log browser crash', { error }));
+        });
+        this.checkInterval = this.settings.get('check_interval') * 1000;
+        this.minTickInterval = 1000;
+
+        // Bookings in "approval" mode keep their filled-in page open this long
+        this.approvalWindowMs = config.monitoring.approval_window_minutes * 60 * 1000;
+        this.pendingApprovals = new Map(); // approval id -> { page, application, country, slot, timer }
         
-        // Country configurations
-        this.countryConfigs = {
-            spain: {
-                name: 'Spain',
-                flag: '🇪🇸',
-                baseUrl: 'https://appointment.thespainvisa.com',
-                loginUrl: 'https://appointment.thespainvisa.com/Global/account/login',
-                appointmentUrl: 'https://appointment.thespainvisa.com/Global/bls/Appointment',
-                selectors: {
-                    email: '#Email',
-                    password: '#Password',
-                    submitLogin: 'button[type="submit"]',
-                    availableSlots: '.available-date, .calendar-day.available, .appointment-available',
-                    bookingButton: '.book-appointment, .submit-btn, .continue-btn',
-                    visaTypeDropdown: '#VisaType, #visa_type, select[name="visa_type"]',
-                    centerDropdown: '#Center, #center, select[name="center"]',
-                    captcha: '.g-recaptcha, .captcha, [data-sitekey]'
-                }
-            },
-            italy: {
-                name: 'Italy',
-                flag: '🇮🇹',
-                baseUrl: 'https://blsitalyvisa.com/cameroon',
-                loginUrl: 'https://blsitalyvisa.com/cameroon/account/login',
-                appointmentUrl: 'https://blsitalyvisa.com/cameroon/appointment',
-                selectors: {
-                    email: '#username, #email, input[name="email"]',
-                    password: '#password, input[name="password"]',
-                    submitLogin: '#submit, .login-button, button[type="submit"]',
-                    availableSlots: '.available, .appointment-slot, .slot-available',
-                    bookingButton: '.book-now, .continue, .submit-application',
-                    visaTypeDropdown: '#visa_type, select[name="visa_type"]',
-                    centerDropdown: '#center, select[name="center"]',
-                    captcha: '.g-recaptcha, .captcha, [data-sitekey]'
-                }
+        // Country/portal adapters
+        this.providers = providers;
+        this.providers.ids().forEach(country => this.ensureCountryStats(country));
+
+        // checkInterval is the base interval for a priority-5 application
+        this.scheduler = new CheckScheduler(this.providers, { baseInterval: this.checkInterval });
+
+        // Desktop, email, webhook and Telegram alerts, per application preferences
+        this.notifications = new NotificationDispatcher(
+            database,
+            NotificationDispatcher.defaultChannels({ isCloud: this.isCloud, sound: config.monitoring.enable_sound_alerts })
+        );
+
+        this.settings.on('change', (changes) => this.applySettings(changes));
+    }
+
+    // Runtime reaction to system_settings changes; values are read where they are used otherwise
+    applySettings(changes) {
+        if ('check_interval' in changes) {
+            this.checkInterval = changes.check_interval * 1000;
+            this.scheduler.setBaseInterval(this.checkInterval);
+            log.info(`⚡ Base check interval is now ${changes.check_interval} seconds`);
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            const country = key.replace(/_enabled$/, '');
+            if (key !== country && this.providers.has(country)) {
+                log.info(`${this.providers.get(country).flag} ${this.providers.get(country).name} monitoring ${value ? 'enabled' : 'disabled'}`);
             }
+        }
+
+        // Re-plan the next tick now instead of after the old interval
+        if (this.isRunning && this.monitorTimer && !this.cycleRunning) {
+            clearTimeout(this.monitorTimer);
+            this.scheduleNextTick(this.minTickInterval);
+        }
+    }
+
+    ensureCountryStats(country) {
+        if (!this.stats[country]) {
+            this.stats[country] = { checks: 0, slotsFound: 0, bookings: 0 };
+        }
+        return this.stats[country];
+    }
+
+    publish(type, data = {}) {
+        this.emit('event', type, data);
+    }
+
+    applicationEventData(application) {
+        return {
+            applicationId: application.id,
+            ownerId: application.owner_id || null,
+            country: application.country,
+            name: `${application.first_name} ${application.last_name}`
         };
     }
 
+    publishStats(country, delta) {
+        this.publish('stats', { country, delta, stats: this.getStats() });
+    }
+
     getEnvironment() {
         if (this.isRender) return 'Render';
         if (this.isRailway) return 'Railway';
@@ -78,78 +150,113 @@ class VisaMonitor {
         return 'Local';
     }
 
-    async start() {
+    // resumedFrom links the new session to the one a restart interrupted
+    async start(options = {}) {
         if (this.isRunning) {
             throw new Error('Monitor is already running');
         }
 
-        console.log(`🚀 Starting visa monitoring on ${this.getEnvironment()}...`);
+        this.starting = this.launch(options);
+        try {
+            await this.starting;
+        } finally {
+            this.starting = null;
+        }
+    }
+
+    async launch({ resumedFrom = null }) {
+        this.cancelRestart();
+        log.info(`🚀 Starting visa monitoring on ${this.getEnvironment()}...`);
         this.isRunning = true;
         this.startTime = new Date();
+        this.consecutiveCycleErrors = 0;
 
-        const activeApplications = await this.db.getActiveApplications();
-        
-        if (activeApplications.length === 0) {
-            throw new Error('No active applications to monitor');
-        }
+        let activeApplications;
+        try {
+            activeApplications = await this.db.getActiveApplications();
+            
+            if (activeApplications.length === 0) {
+                throw new Error('No active applications to monitor');
+            }
 
-        console.log(`📋 Found ${activeApplications.length} active applications`);
+            log.info(`📋 Found ${activeApplications.length} active applications`);
+
+            // Test browser capability first
+            try {
+                await this.testBrowserCapability();
+                log.info('✅ Browser automation confirmed working!');
+            } catch (error) {
+                log.error('❌ Browser test failed', { error });
+                throw new Error(`Browser automation not available: ${error.message}`);
+            }
+
+            // Initialize browser pool
+            if ((await this.browserPool.start()) === 0) {
+                throw new Error('No browser could be started');
+            }
+
+            this.sessionId = await this.db.createMonitorSession({
+                environment: this.getEnvironment(),
+                stats: this.stats,
+                resumedFrom
+            });
 
-        // Test browser capability first
-        try {
-            await this.testBrowserCapability();
-            console.log('✅ Browser automation confirmed working!');
         } catch (error) {
-            console.error('❌ Browser test failed:', error);
-            throw new Error(`Browser automation not available: ${error.message}`);
+            this.isRunning = false;
+            this.startTime = null;
+            await this.closeBrowserPool();
+            throw error;
         }
 
-        // Initialize browser pool
-        await this.initializeBrowserPool();
-
         // Start monitoring loop
         this.startMonitoringLoop();
 
-        const spainApps = activeApplications.filter(app => app.country === 'spain');
-        const italyApps = activeApplications.filter(app => app.country === 'italy');
-
-        console.log(`✅ Monitoring started successfully!`);
-        console.log(`🇪🇸 Spain: ${spainApps.length} applications`);
-        console.log(`🇮🇹 Italy: ${italyApps.length} applications`);
-        console.log(`⚡ Check interval: ${this.checkInterval/1000} seconds`);
-        console.log(`🌐 Browser pool: ${this.maxBrowsers} browser(s)`);
+        log.info(`✅ Monitoring started successfully!`);
+        this.publish('monitoring_started', {
+            startTime: this.startTime,
+            sessionId: this.sessionId,
+            resumedFrom,
+            applications: activeApplications.length,
+            countries: this.getActiveCountries()
+        });
+        for (const [country, apps] of this.groupByCountry(activeApplications)) {
+            const provider = this.providers.get(country);
+            log.info(`${provider.flag} ${provider.name}: ${apps.length} applications`);
+        }
+        log.info(`⚡ Base check interval: ${this.checkInterval/1000} seconds (scaled by priority)`);
+        log.info(`🌐 Browser pool: ${this.browserPool.size} browser(s), recycled every ${this.browserPool.recycleAfterPages} pages`);
     }
 
     async testBrowserCapability() {
-        console.log(`🧪 Testing browser capability on ${this.getEnvironment()}...`);
+        log.info(`🧪 Testing browser capability on ${this.getEnvironment()}...`);
         
         const browser = await this.createBrowser(0);
         const page = await browser.newPage();
         
         try {
-            console.log('🌐 Testing navigation...');
+            log.info('🌐 Testing navigation...');
             await page.goto('https://httpbin.org/user-agent', { 
                 waitUntil: 'networkidle2', 
                 timeout: 15000 
             });
             
             const userAgent = await page.evaluate(() => navigator.userAgent);
-            console.log('🔍 User agent detected:', userAgent.substring(0, 60) + '...');
+            log.info(`🔍 User agent detected: ${userAgent.substring(0, 60)}...`);
             
-            console.log('📝 Testing form interaction...');
+            log.info('📝 Testing form interaction...');
             await page.goto('https://httpbin.org/forms/post', { 
                 waitUntil: 'networkidle2', 
                 timeout: 15000 
             });
             
             await page.type('input[name="custname"]', 'Test User', { delay: 50 });
-            console.log('✍️ Form typing successful');
+            log.info('✍️ Form typing successful');
             
         } finally {
             await browser.close();
         }
         
-        console.log('✅ Browser capability test passed!');
+        log.info('✅ Browser capability test passed!');
     }
 
     async createBrowser(index) {
@@ -205,133 +312,184 @@ class VisaMonitor {
         }
 
         const browserOptions = {
-            headless: this.isCloud, // Headless in cloud, visible locally
+            headless: this.headless, // browser.headless, headless in cloud by default
             args: browserArgs,
             ignoreDefaultArgs: ['--enable-automation'],
             defaultViewport: viewports[index % viewports.length],
-            timeout: 30000
+            timeout: this.browserTimeoutMs
         };
 
-        console.log(`🔧 Creating ${this.isCloud ? 'headless' : 'visible'} browser ${index + 1}/${this.maxBrowsers}...`);
+        log.info(`🔧 Creating ${this.headless ? 'headless' : 'visible'} browser ${index + 1}/${this.browserPool.size}...`);
         
         const browser = await puppeteer.launch(browserOptions);
         
         return browser;
     }
 
-    async initializeBrowserPool() {
-        console.log(`🌐 Initializing browser pool (${this.maxBrowsers} browser(s))...`);
-        
-        for (let i = 0; i < this.maxBrowsers; i++) {
-            try {
-                const browser = await this.createBrowser(i);
-                
-                this.browserPool.push({
-                    browser: browser,
-                    index: i,
-                    lastUsed: 0,
-                    inUse: false
-                });
-                
-                console.log(`✅ Browser ${i + 1} ready`);
-                
-                // Small delay between browser creation
-                if (i < this.maxBrowsers - 1) {
-                    await this.delay(2000);
-                }
-                
-            } catch (error) {
-                console.error(`❌ Failed to create browser ${i + 1}:`, error);
+    /**
+     * Runs due applications, then sleeps until the next one is due (capped at
+     * checkInterval so new applications are picked up). The next tick is only
+     * scheduled once the current cycle has finished, so cycles never overlap.
+     */
+    startMonitoringLoop() {
+        log.info(`⚡ Starting scheduler (base interval ${this.checkInterval/1000}s, adjusted by priority)`);
+        this.scheduler.reset();
+        this.scheduleNextTick(0);
+    }
+
+    scheduleNextTick(delayMs) {
+        if (!this.isRunning) return;
+        this.monitorTimer = setTimeout(() => {
+            this.runCycle().catch(error => log.error('❌ Monitoring cycle failed', { error }));
+        }, delayMs);
+    }
+
+    // Everything a cycle logs carries its correlation ID; each check in it gets "<cycle id>-<application id>"
+    runCycle() {
+        return withCorrelation(newCorrelationId(), () => this.runCorrelatedCycle());
+    }
+
+    async runCorrelatedCycle() {
+        this.monitorTimer = null;
+        if (!this.isRunning || this.cycleRunning) return;
+
+        this.cycleRunning = true;
+        let activeApps = [];
+
+        try {
+            await this.lifecycle.expireOutdated();
+            activeApps = (await this.db.getActiveApplications())
+                .filter(app => this.settings.isCountryEnabled(app.country));
+            this.scheduler.prune(activeApps);
+
+            // An application waiting on a booking approval keeps its page; don't check it again meanwhile.
+            // Past max_concurrent_applications the rest stay due and run on the next tick.
+            const dueApps = this.scheduler.due(activeApps)
+                .filter(app => !this.hasPendingApproval(app.id))
+                .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+                .slice(0, this.settings.get('max_concurrent_applications'));
+            if (dueApps.length > 0) {
+                await this.runDueApplications(dueApps);
             }
+
+            this.consecutiveCycleErrors = 0;
+            this.restartAttempts = 0;
+
+        } catch (error) {
+            log.error('❌ Error in monitoring loop', { error });
+            this.publish('monitor_error', { message: error.message });
+            await this.logSystemActivity('MONITORING_ERROR', error.message);
+            this.consecutiveCycleErrors++;
+        } finally {
+            this.cycleRunning = false;
         }
-        
-        console.log(`🎉 Browser pool initialized with ${this.browserPool.length} browser(s)`);
+
+        await this.saveSession();
+
+        // A pool that cannot relaunch any browser, or a loop that keeps failing, will not recover by itself
+        const exhausted = this.browserPool.isExhausted();
+        if (exhausted || this.consecutiveCycleErrors >= this.maxCycleErrors) {
+            await this.handleFailure(new Error(exhausted
+                ? 'All browsers disconnected and none could be relaunched'
+                : `${this.consecutiveCycleErrors} consecutive monitoring cycles failed`));
+            return;
+        }
+
+        const untilNext = this.scheduler.msUntilNext(activeApps);
+        const delay = untilNext === null ? this.checkInterval : Math.min(untilNext, this.checkInterval);
+        this.scheduleNextTick(Math.max(delay, this.minTickInterval));
     }
 
-    startMonitoringLoop() {
-        console.log(`⚡ Starting monitoring loop (${this.checkInterval/1000}s interval)`);
-        
-        this.monitorInterval = setInterval(async () => {
-            if (!this.isRunning) return;
+    async runDueApplications(dueApps) {
+        log.info(`🔄 Running monitoring cycle at ${new Date().toLocaleTimeString()} (${dueApps.length} due)`);
+        const cycleStart = Date.now();
 
-            try {
-                console.log(`🔄 Running monitoring cycle at ${new Date().toLocaleTimeString()}`);
-                
-                const activeApps = await this.db.getActiveApplications();
-                const spainApps = activeApps.filter(app => app.country === 'spain');
-                const italyApps = activeApps.filter(app => app.country === 'italy');
-
-                // Process countries (cloud uses sequential, local can use parallel)
-                if (this.isCloud) {
-                    // Sequential processing for cloud
-                    if (spainApps.length > 0) {
-                        await this.processCountryApplications('spain', spainApps);
-                    }
+        const groups = Array.from(this.groupByCountry(dueApps));
+        this.publish('cycle_started', {
+            applications: dueApps.length,
+            countries: groups.map(([country]) => country)
+        });
 
-                    if (spainApps.length > 0 && italyApps.length > 0) {
-                        await this.delay(5000); // Gap between countries
-                    }
+        try {
+            // Process countries (cloud uses sequential, local can use parallel)
+            if (this.isCloud) {
+                // Sequential processing for cloud
+                for (let i = 0; i < groups.length; i++) {
+                    const [country, apps] = groups[i];
+                    await this.processCountryApplications(country, apps);
 
-                    if (italyApps.length > 0) {
-                        await this.processCountryApplications('italy', italyApps);
-                    }
-                } else {
-                    // Parallel processing for local (original behavior)
-                    const promises = [];
-                    if (spainApps.length > 0) {
-                        promises.push(this.processCountryApplications('spain', spainApps));
-                    }
-                    if (italyApps.length > 0) {
-                        promises.push(this.processCountryApplications('italy', italyApps));
+                    if (i < groups.length - 1) {
+                        await this.delay(5000); // Gap between countries
                     }
-                    await Promise.all(promises);
                 }
+            } else {
+                // Parallel processing for local (original behavior)
+                await Promise.all(groups.map(([country, apps]) => 
+                    this.processCountryApplications(country, apps)));
+            }
+        } finally {
+            // Intervals count from the end of the cycle, failed checks included
+            const finishedAt = new Date();
+            dueApps.forEach(app => this.scheduler.markRun(app, finishedAt));
+        }
 
-                console.log(`✅ Monitoring cycle completed`);
+        log.info(`✅ Monitoring cycle completed`);
+        this.publish('cycle_completed', { durationMs: Date.now() - cycleStart });
+    }
 
-            } catch (error) {
-                console.error('❌ Error in monitoring loop:', error);
-                await this.db.logActivity(null, 'system', 'MONITORING_ERROR', error.message);
-            }
-        }, this.checkInterval);
+    // Upcoming checks, soonest first
+    getSchedule(applications) {
+        return this.scheduler.plan(applications.filter(app =>
+            MONITORED_STATES.includes(app.status) && this.providers.has(app.country) && this.settings.isCountryEnabled(app.country)));
     }
 
-    getAvailableBrowser() {
-        const availableBrowsers = this.browserPool.filter(b => !b.inUse);
-        
-        if (availableBrowsers.length === 0) {
-            console.log('⏳ No available browsers, waiting...');
-            return this.browserPool.sort((a, b) => a.lastUsed - b.lastUsed)[0];
-        }
+    // Group applications by country, skipping countries without a registered provider
+    groupByCountry(applications) {
+        const groups = new Map();
 
-        // Return least recently used browser
-        availableBrowsers.sort((a, b) => a.lastUsed - b.lastUsed);
-        const browser = availableBrowsers[0];
-        browser.lastUsed = Date.now();
-        browser.inUse = true;
-        
-        return browser;
-    }
+        for (const app of applications) {
+            if (!this.providers.has(app.country)) {
+                log.warn(`⚠️ No provider registered for "${app.country}" - skipping application ${app.id}`);
+                continue;
+            }
+            if (!groups.has(app.country)) {
+                groups.set(app.country, []);
+            }
+            groups.get(app.country).push(app);
+        }
 
-    releaseBrowser(browserInstance) {
-        browserInstance.inUse = false;
+        return groups;
     }
 
     async processCountryApplications(country, applications) {
-        console.log(`🔄 Processing ${applications.length} ${country} applications...`);
+        log.info(`🔄 Processing ${applications.length} ${country} applications...`);
 
-        const browserInstance = this.getAvailableBrowser();
+        let browserInstance;
+        try {
+            browserInstance = await this.browserPool.acquire();
+        } catch (error) {
+            log.error(`❌ No browser for ${country}`, { country, error: error.message });
+            this.publish('monitor_error', { country, message: error.message });
+            return;
+        }
         
         try {
-            console.log(`🌐 Using browser ${browserInstance.index + 1} for ${country}`);
+            log.info(`🌐 Using browser ${browserInstance.index + 1} for ${country}`);
             
             for (let i = 0; i < applications.length; i++) {
                 const app = applications[i];
+
+                // The rest of the group waits for its next turn rather than failing one by one
+                if (!browserInstance.browser || !browserInstance.browser.connected) {
+                    log.warn(`⚠️ Browser ${browserInstance.index + 1} lost; ${applications.length - i} ${country} application(s) wait for the next cycle`);
+                    break;
+                }
                 
                 try {
-                    console.log(`📋 Processing ${i + 1}/${applications.length}: ${app.first_name} ${app.last_name}`);
+                    log.info(`📋 Processing ${i + 1}/${applications.length}: ${app.first_name} ${app.last_name}`);
                     
-                    await this.processApplicationWithBrowser(country, app, browserInstance.browser);
+                    await withCorrelation(`${currentCorrelationId()}-${app.id}`,
+                        () => this.processApplicationWithBrowser(country, app, browserInstance.browser));
                     await this.db.incrementAttempts(app.id);
                     
                     // Delay between applications
@@ -340,26 +498,32 @@ class VisaMonitor {
                     }
 
                 } catch (error) {
-                    console.error(`❌ Error processing application ${app.id}:`, error);
+                    log.error(`❌ Error processing application ${app.id}`, { country, applicationId: app.id, error });
+                    this.publish('monitor_error', { ...this.applicationEventData(app), message: error.message });
                     await this.db.logActivity(app.id, country, 'PROCESSING_ERROR', error.message);
                 }
             }
 
         } catch (error) {
-            console.error(`❌ Browser error for ${country}:`, error);
+            log.error(`❌ Browser error for ${country}`, { country, error });
         } finally {
-            this.releaseBrowser(browserInstance);
+            await this.browserPool.release(browserInstance);
         }
 
         this.lastActivity = new Date();
     }
 
     async processApplicationWithBrowser(country, application, browser) {
-        const config = this.countryConfigs[country];
+        const config = this.providers.get(country);
+        const stats = this.ensureCountryStats(country);
+        const bookingsBefore = stats.bookings;
         let page = null;
+        let holdPage = false; // a page waiting for booking approval stays open
+        let loggedIn = false;
         
         try {
-            console.log(`📋 Checking ${config.name} for ${application.first_name} ${application.last_name}`);
+            log.info(`📋 Checking ${config.name} for ${application.first_name} ${application.last_name}`,
+                { country, applicationId: application.id });
             
             page = await browser.newPage();
             
@@ -368,54 +532,343 @@ class VisaMonitor {
             
             // Login and check
             await this.loginToSite(page, country, application);
+            loggedIn = true;
             await this.delay(2000);
             
-            const slotsFound = await this.checkAppointmentSlots(page, country, application);
+            const slots = await this.checkAppointmentSlots(page, country, application);
+            this.scheduler.recordSuccess(application);
+            const { matching, rejected } = matchSlots(slots, application);
+            const slotsFound = matching.length > 0;
+            metrics.checks.inc({ country, outcome: slotsFound ? 'slots_found' : rejected.length > 0 ? 'slots_ignored' : 'no_slots' });
+
+            if (slots.length > 0) {
+                await this.db.recordSlotObservations(application.id, country,
+                    [...matching, ...rejected.map(slot => ({ ...slot, matched: false }))]);
+            }
+
+            // Slots exist but none fit the applicant's date/center rules - no alert, no booking
+            if (!slotsFound && rejected.length > 0) {
+                log.info(`⏭️ ${rejected.length} slot(s) outside preferences for ${application.first_name} ${application.last_name}`,
+                    { country, applicationId: application.id });
+                await this.db.logActivity(application.id, country, 'SLOTS_IGNORED',
+                    `${rejected.length} slot(s) seen, none match preferences: ` +
+                    rejected.slice(0, 3).map(slot => `${slot.date || slot.label} (${slot.reason})`).join(', '));
+            }
             
+            // The owner may have paused the application while it was being checked
+            const monitored = await this.setStatus(application, slotsFound ? 'slot_found' : 'active',
+                slotsFound ? `${matching.length} matching slot(s) on offer` : 'no matching slots on offer any more');
+
             if (slotsFound) {
-                console.log(`🎯 SLOTS FOUND for ${config.name}! 🎉`);
+                log.info(`🎯 SLOTS FOUND for ${config.name}! 🎉`, { country, applicationId: application.id, slots: matching.length });
                 
                 await this.db.incrementSlotsFound(application.id);
-                this.stats[country].slotsFound++;
+                stats.slotsFound++;
+                metrics.slotDetections.inc({ country });
                 
+                const artifactId = await this.artifacts.capture(page, application, 'slots_found');
                 await this.db.logActivity(application.id, country, 'SLOTS_FOUND', 
-                    `${application.visa_type} visa slots found on ${this.getEnvironment()}`);
+                    `${application.visa_type} visa slots found on ${this.getEnvironment()}: ${this.describeSlots(matching)}`, { artifactId });
                 
-                this.sendNotification(application, country, 'slots_found');
+                this.sendNotification(application, country, 'slots_found', matching);
+                this.publish('slots_found', { ...this.applicationEventData(application), visaType: application.visa_type, slots: matching });
                 
-                if (application.auto_book) {
+                const bookingMode = monitored ? this.bookingModeOf(application) : 'off';
+                if (bookingMode === 'auto') {
                     await this.delay(3000);
-                    const bookingSuccess = await this.attemptBooking(page, country, application);
+                    const bookingSuccess = await this.attemptBooking(page, country, application, matching[0]);
+                    metrics.bookings.inc({ country, mode: 'auto', result: bookingSuccess ? 'booked' : 'not_confirmed' });
+                    this.publish('booking_result', { ...this.applicationEventData(application), success: bookingSuccess });
                     
                     if (bookingSuccess) {
-                        await this.db.markCompleted(application.id, `booking_successful_${this.getEnvironment().toLowerCase()}`);
-                        this.stats[country].bookings++;
-                        
-                        await this.db.logActivity(application.id, country, 'BOOKING_SUCCESS', 
-                            `Appointment booked successfully on ${this.getEnvironment()}`);
-                        
-                        this.sendNotification(application, country, 'booking_success');
+                        await this.recordBookingSuccess(application, country);
+                    } else {
+                        const artifactId = await this.artifacts.capture(page, application, 'booking_failed');
+                        await this.db.logActivity(application.id, country, 'BOOKING_FAILED',
+                            `Automatic booking of ${this.describeSlots([matching[0]])} was not confirmed`, { artifactId });
                     }
+                } else if (bookingMode === 'dry_run') {
+                    await this.delay(3000);
+                    await this.recordDryRun(page, country, application, matching[0]);
+                } else if (bookingMode === 'approval') {
+                    await this.delay(3000);
+                    holdPage = await this.holdForApproval(page, country, application, matching[0]);
                 }
             }
             
-            this.stats[country].checks++;
+            stats.checks++;
+            this.publish('application_checked', { ...this.applicationEventData(application), slotsFound });
+            this.publishStats(country, {
+                checks: 1,
+                slotsFound: slotsFound ? 1 : 0,
+                bookings: stats.bookings - bookingsBefore
+            });
 
         } catch (error) {
-            console.error(`❌ Error processing ${country}:`, error.message);
+            const artifactId = await this.artifacts.capture(page, application, loggedIn ? 'check_failed' : 'login_failed');
+            await this.handleCheckError(application, country, error, artifactId);
             
         } finally {
-            if (page) {
-                try {
-                    await page.close();
-                } catch (e) {
-                    console.log(`⚠️ Could not close page`);
-                }
+            if (page && !holdPage) {
+                await this.closePage(page);
+            }
+        }
+    }
+
+    /**
+     * Applies the policy for the kind of failure (portal-errors.js): credential
+     * problems pause the application and tell its owner, anything else backs
+     * off that application's checks until one succeeds again.
+     */
+    async handleCheckError(application, country, error, artifactId = null) {
+        const failure = classifyError(error);
+        const policy = failure.policy;
+        metrics.checks.inc({ country, outcome: failure.type });
+        log.warn(`❌ Check failed for ${country} application ${application.id} (${failure.type})`,
+            { country, applicationId: application.id, error: failure });
+        this.publish('monitor_error', { ...this.applicationEventData(application), type: failure.type, message: failure.message });
+
+        if (policy.pause) {
+            this.scheduler.recordSuccess(application);
+            await this.db.logActivity(application.id, country, 'CHECK_FAILED', `${failure.type}: ${failure.message}`, { artifactId });
+            if (await this.setStatus(application, 'paused', `${failure.type.replace(/_/g, ' ')}, fix the portal account and resume`)) {
+                this.sendNotification(application, country, 'application_paused', [], failure.message);
             }
+            return failure;
+        }
+
+        const backoff = this.scheduler.recordFailure(application, policy, failure.type);
+        await this.db.logActivity(application.id, country, 'CHECK_FAILED',
+            `${failure.type}: ${failure.message} (failure ${backoff.failures} in a row, next check in ${formatDelay(backoff.delayMs)} or later)`,
+            { artifactId });
+        if (policy.notify && backoff.failures === 1) {
+            this.sendNotification(application, country, 'check_failed', [], failure.message);
+        }
+        return failure;
+    }
+
+    async closePage(page) {
+        try {
+            await page.close();
+        } catch (e) {
+            log.warn('⚠️ Could not close page', { error: e });
+        }
+    }
+
+    // booking_mode, falling back to auto_book for rows written before booking modes existed
+    bookingModeOf(application) {
+        return application.booking_mode || (application.auto_book ? 'auto' : 'off');
+    }
+
+    /**
+     * Lifecycle changes made by the monitor. Resolves to false when the status
+     * was changed elsewhere in the meantime, which then takes precedence.
+     */
+    async setStatus(application, to, reason, options = {}) {
+        if (application.status === to) {
+            return true;
+        }
+        try {
+            await this.lifecycle.transition(application, to, reason, options);
+            return true;
+        } catch (error) {
+            if (!(error instanceof TransitionError)) throw error;
+            log.warn(`⚠️ Application ${application.id} not moved to ${to}: ${error.message}`);
+            return false;
+        }
+    }
+
+    async recordBookingSuccess(application, country) {
+        await this.setStatus(application, 'booked', 'appointment booked',
+            { result: `booking_successful_${this.getEnvironment().toLowerCase()}` });
+        this.ensureCountryStats(country).bookings++;
+        
+        await this.db.logActivity(application.id, country, 'BOOKING_SUCCESS', 
+            `Appointment booked successfully on ${this.getEnvironment()}`);
+        
+        this.sendNotification(application, country, 'booking_success');
+    }
+
+    // The filled form as it would be submitted, with the applicant's secrets masked
+    async captureBookingForm(page, country, application) {
+        const decrypted = this.db.cipher.decryptFields(application);
+        const secrets = SENSITIVE_FIELDS.map(field => decrypted[field]).filter(Boolean);
+        const form = await this.providers.get(country).readBookingForm(page);
+
+        for (const [name, value] of Object.entries(form)) {
+            if (secrets.includes(value)) {
+                form[name] = REDACTED;
+            }
+        }
+        return form;
+    }
+
+    async recordDryRun(page, country, application, slot) {
+        const config = this.providers.get(country);
+
+        try {
+            if (!(await config.prepareBooking(page, application, this, slot))) {
+                const artifactId = await this.artifacts.capture(page, application, 'booking_failed');
+                await this.db.logActivity(application.id, country, 'BOOKING_FAILED', 'Dry run could not reach the booking form', { artifactId });
+                return;
+            }
+
+            const formData = await this.captureBookingForm(page, country, application);
+            const approvalId = await this.db.createBookingApproval({
+                applicationId: application.id, country, mode: 'dry_run', status: 'dry_run', slot, formData
+            });
+
+            metrics.bookings.inc({ country, mode: 'dry_run', result: 'prepared' });
+            log.info(`🧪 Dry run: booking form for ${slot && slot.date ? slot.date : 'first slot'} filled, not submitted`,
+                { country, applicationId: application.id, approvalId });
+            await this.db.logActivity(application.id, country, 'BOOKING_DRY_RUN',
+                `Would have booked ${this.describeSlots([slot])} (dry run #${approvalId})`);
+            this.publish('booking_dry_run', { ...this.applicationEventData(application), approvalId, slot });
+
+        } catch (error) {
+            log.error('❌ Dry run failed', { country, applicationId: application.id, error });
+            const artifactId = await this.artifacts.capture(page, application, 'booking_failed');
+            await this.db.logActivity(application.id, country, 'BOOKING_FAILED', `Dry run failed: ${error.message}`, { artifactId });
+        }
+    }
+
+    /**
+     * Fills the booking form, then keeps the page open until the owner approves
+     * or rejects through the API, or approvalWindowMs runs out.
+     * Resolves to true when the page is now held.
+     */
+    async holdForApproval(page, country, application, slot) {
+        const config = this.providers.get(country);
+
+        try {
+            if (!(await config.prepareBooking(page, application, this, slot))) {
+                const artifactId = await this.artifacts.capture(page, application, 'booking_failed');
+                await this.db.logActivity(application.id, country, 'BOOKING_FAILED', 'Could not reach the booking form for approval', { artifactId });
+                return false;
+            }
+
+            const formData = await this.captureBookingForm(page, country, application);
+            const expiresAt = new Date(Date.now() + this.approvalWindowMs);
+            const approvalId = await this.db.createBookingApproval({
+                applicationId: application.id, country, mode: 'approval', status: 'pending', slot, formData, expiresAt
+            });
+
+            const timer = setTimeout(() => {
+                this.expireApproval(approvalId, 'Approval window elapsed').catch(error => {
+                    log.error('❌ Could not expire approval', { approvalId, error });
+                });
+            }, this.approvalWindowMs);
+            this.pendingApprovals.set(approvalId, { page, application, country, slot, timer });
+            this.browserPool.hold(page.browser());
+            metrics.bookings.inc({ country, mode: 'approval', result: 'held' });
+            await this.setStatus(application, 'awaiting_approval', `booking #${approvalId} held for approval`);
+
+            log.info(`⏸️ Booking held for approval #${approvalId} until ${expiresAt.toLocaleTimeString()}`,
+                { country, applicationId: application.id, approvalId });
+            await this.db.logActivity(application.id, country, 'APPROVAL_REQUIRED',
+                `Booking for ${this.describeSlots([slot])} awaits approval until ${expiresAt.toISOString()} (#${approvalId})`);
+            this.sendNotification(application, country, 'approval_required', [slot]);
+            this.publish('approval_pending', { ...this.applicationEventData(application), approvalId, slot, expiresAt });
+            return true;
+
+        } catch (error) {
+            log.error('❌ Could not hold booking for approval', { country, applicationId: application.id, error });
+            const artifactId = await this.artifacts.capture(page, application, 'booking_failed');
+            await this.db.logActivity(application.id, country, 'BOOKING_FAILED', `Approval hold failed: ${error.message}`, { artifactId });
+            return false;
+        }
+    }
+
+    hasPendingApproval(applicationId) {
+        return Array.from(this.pendingApprovals.values()).some(held => held.application.id === applicationId);
+    }
+
+    /**
+     * Approve (submit the held form) or reject a pending booking.
+     * Resolves to the final status, or null when the approval was no longer pending.
+     */
+    async decideApproval(approvalId, approve, user) {
+        const changes = await this.db.resolveBookingApproval(approvalId, approve ? 'approved' : 'rejected', { decidedBy: user.id });
+        if (changes === 0) {
+            return null;
+        }
+
+        const held = this.pendingApprovals.get(approvalId);
+        if (!held) {
+            // The page was lost (monitor stopped or server restarted) between hold and decision
+            await this.db.setBookingApprovalResult(approvalId, 'failed', 'Booking page no longer open');
+            return 'failed';
+        }
+
+        this.pendingApprovals.delete(approvalId);
+        clearTimeout(held.timer);
+        const { page, application, country } = held;
+        this.browserPool.unhold(page.browser());
+        const eventData = { ...this.applicationEventData(application), approvalId };
+
+        if (!approve) {
+            metrics.bookings.inc({ country, mode: 'approval', result: 'rejected' });
+            await this.closePage(page);
+            await this.db.logActivity(application.id, country, 'BOOKING_REJECTED', `Booking #${approvalId} rejected by ${user.username}`);
+            await this.setStatus(application, 'active', `booking #${approvalId} rejected`);
+            this.publish('approval_decided', { ...eventData, status: 'rejected' });
+            return 'rejected';
+        }
+
+        let booked = false;
+        let artifactId = null;
+        try {
+            booked = await this.providers.get(country).submitBooking(page, application, this);
+        } catch (error) {
+            log.error('❌ Approved booking failed', { country, applicationId: application.id, approvalId, error });
+        } finally {
+            if (!booked) {
+                artifactId = await this.artifacts.capture(page, application, 'booking_failed');
+            }
+            await this.closePage(page);
+        }
+
+        const status = booked ? 'submitted' : 'failed';
+        metrics.bookings.inc({ country, mode: 'approval', result: booked ? 'booked' : 'not_confirmed' });
+        await this.db.setBookingApprovalResult(approvalId, status, booked ? 'Booking confirmed by portal' : 'Portal did not confirm the booking');
+        this.publish('booking_result', { ...this.applicationEventData(application), success: booked });
+        this.publish('approval_decided', { ...eventData, status });
+
+        if (booked) {
+            await this.recordBookingSuccess(application, country);
+            this.publishStats(country, { checks: 0, slotsFound: 0, bookings: 1 });
+        } else {
+            await this.db.logActivity(application.id, country, 'BOOKING_FAILED', `Approved booking #${approvalId} was not confirmed`, { artifactId });
+            // The portal may still have taken it; a person checks before monitoring resumes
+            await this.setStatus(application, 'failed', `approved booking #${approvalId} was not confirmed`,
+                { result: 'Portal did not confirm the booking' });
+        }
+        return status;
+    }
+
+    async expireApproval(approvalId, reason) {
+        const held = this.pendingApprovals.get(approvalId);
+        this.pendingApprovals.delete(approvalId);
+
+        const changes = await this.db.resolveBookingApproval(approvalId, 'expired', { result: reason });
+        if (!held) return;
+
+        clearTimeout(held.timer);
+        this.browserPool.unhold(held.page.browser());
+        await this.closePage(held.page);
+        if (changes > 0) {
+            metrics.bookings.inc({ country: held.country, mode: 'approval', result: 'expired' });
+            log.info(`⌛ Approval #${approvalId} expired: ${reason}`, { country: held.country, applicationId: held.application.id, approvalId });
+            await this.db.logActivity(held.application.id, held.country, 'APPROVAL_EXPIRED', `Booking #${approvalId}: ${reason}`);
+            await this.setStatus(held.application, 'active', `booking #${approvalId} approval expired`);
+            this.publish('approval_decided', { ...this.applicationEventData(held.application), approvalId, status: 'expired' });
         }
     }
 
     async configurePage(page) {
+        // Console errors go into any artifact captured from this page
+        this.artifacts.watch(page);
+
         // Set user agent and viewport
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
         await page.setViewport({ width: 1366, height: 768 });
@@ -436,50 +889,24 @@ class VisaMonitor {
     }
 
     async loginToSite(page, country, application) {
-        const config = this.countryConfigs[country];
+        const config = this.providers.get(country);
+        const endTimer = metrics.loginDuration.startTimer({ country });
         
         try {
-            console.log(`🔐 Logging into ${config.name}...`);
-            
-            await page.goto(config.loginUrl, { 
-                waitUntil: 'networkidle2', 
-                timeout: 20000 
-            });
-            
-            await this.delay(2000);
-            
-            // Fill login form with human-like typing
-            await page.waitForSelector(config.selectors.email, { timeout: 10000 });
-            await this.humanType(page, config.selectors.email, application.site_email);
-            
-            await this.delay(1000);
-            
-            await page.waitForSelector(config.selectors.password, { timeout: 5000 });
-            await this.humanType(page, config.selectors.password, application.site_password);
-            
-            // Check for CAPTCHA (only in local mode)
-            if (!this.isCloud) {
-                const captcha = await page.$(config.selectors.captcha);
-                if (captcha) {
-                    console.log(`⚠️ CAPTCHA detected for ${config.name} - please solve manually`);
-                    
-                    await page.waitForFunction(() => {
-                        const captchaElement = document.querySelector('.g-recaptcha, .captcha');
-                        return !captchaElement || captchaElement.style.display === 'none';
-                    }, { timeout: 60000 });
-                }
-            }
+            log.info(`🔐 Logging into ${config.name}...`);
             
-            await this.delay(1000);
+            const credentials = {
+                ...application,
+                site_password: this.db.cipher.decrypt(application.site_password)
+            };
+            await config.login(page, credentials, this);
+            endTimer({ result: 'success' });
             
-            // Submit login
-            await page.click(config.selectors.submitLogin);
-            await page.waitForNavigation({ timeout: 15000 });
-            
-            console.log(`✅ Successfully logged into ${config.name}`);
+            log.info(`✅ Successfully logged into ${config.name}`);
 
         } catch (error) {
-            console.error(`❌ Login failed for ${config.name}:`, error);
+            endTimer({ result: 'failure' });
+            log.warn(`❌ Login failed for ${config.name}`, { country, applicationId: application.id, error: error.message });
             throw error;
         }
     }
@@ -493,108 +920,42 @@ class VisaMonitor {
         }
     }
 
+    // Failures propagate so handleCheckError can classify them
     async checkAppointmentSlots(page, country, application) {
-        const config = this.countryConfigs[country];
+        const config = this.providers.get(country);
         
-        try {
-            console.log(`🔍 Checking appointment slots...`);
-            
-            await page.goto(config.appointmentUrl, { 
-                waitUntil: 'networkidle2', 
-                timeout: 20000 
-            });
-            
-            await this.delay(3000);
-            
-            // Select visa type if dropdown exists
-            const visaDropdown = await page.$(config.selectors.visaTypeDropdown);
-            if (visaDropdown) {
-                try {
-                    await page.select(config.selectors.visaTypeDropdown, application.visa_type);
-                    await this.delay(1000);
-                } catch (e) {
-                    console.log(`Could not select visa type`);
-                }
-            }
-            
-            // Select center if dropdown exists
-            if (application.preferred_center) {
-                const centerDropdown = await page.$(config.selectors.centerDropdown);
-                if (centerDropdown) {
-                    try {
-                        await page.select(config.selectors.centerDropdown, application.preferred_center);
-                        await this.delay(1000);
-                    } catch (e) {
-                        console.log(`Could not select center`);
-                    }
-                }
-            }
-            
-            // Check for available slots
-            const slotsAvailable = await page.evaluate((selector) => {
-                const slots = document.querySelectorAll(selector);
-                return Array.from(slots).some(slot => {
-                    const text = slot.textContent.toLowerCase();
-                    const classes = slot.className.toLowerCase();
-                    const isDisabled = slot.disabled || slot.hasAttribute('disabled');
-                    
-                    return !isDisabled &&
-                           !text.includes('no slots') && 
-                           !text.includes('unavailable') && 
-                           !text.includes('not available') &&
-                           !classes.includes('disabled') &&
-                           !classes.includes('unavailable') &&
-                           (text.includes('available') || text.includes('book') || text.includes('select'));
-                });
-            }, config.selectors.availableSlots);
-            
-            console.log(`📊 Slots check: ${slotsAvailable ? 'AVAILABLE ✅' : 'NOT AVAILABLE ❌'}`);
-            return slotsAvailable;
-
-        } catch (error) {
-            console.error(`Error checking slots:`, error);
-            return false;
-        }
+        log.info(`🔍 Checking appointment slots...`);
+        
+        await config.openAppointmentPage(page, application, this);
+        
+        const slots = await config.extractSlots(page, application);
+        
+        log.info(`📊 Slots check: ${slots.length > 0 ? `${slots.length} AVAILABLE ✅` : 'NOT AVAILABLE ❌'}`);
+        return slots;
     }
 
-    async attemptBooking(page, country, application) {
-        const config = this.countryConfigs[country];
+    // slot is the best match from matchSlots()
+    async attemptBooking(page, country, application, slot = null) {
+        const config = this.providers.get(country);
         
         try {
-            console.log(`🤖 Attempting to book appointment...`);
-            
-            await page.click(config.selectors.availableSlots + ':first-child');
-            await this.delay(3000);
+            log.info(`🤖 Attempting to book appointment${slot && slot.date ? ` for ${slot.date}` : ''}...`);
             
-            await this.fillApplicationForm(page, application);
-            
-            const submitButton = await page.$(config.selectors.bookingButton);
-            if (submitButton) {
-                await submitButton.click();
-                
-                try {
-                    await page.waitForSelector('.confirmation, .success-message, .booking-confirmed', { 
-                        timeout: 15000 
-                    });
-                    
-                    console.log(`✅ Booking confirmed!`);
-                    return true;
-                    
-                } catch (confirmationError) {
-                    console.log(`⚠️ Could not confirm booking`);
-                    return false;
-                }
+            const booked = await config.book(page, application, this, slot);
+            if (booked) {
+                log.info(`✅ Booking confirmed!`);
             }
-            
-            return false;
+            return booked;
 
         } catch (error) {
-            console.error(`❌ Booking failed:`, error);
+            log.error('❌ Booking failed', { country, applicationId: application.id, error });
             return false;
         }
     }
 
     async fillApplicationForm(page, application) {
+        application = this.db.cipher.decryptFields(application);
+
         const fieldMappings = {
             '#FirstName, [name="firstName"], [name="first_name"]': application.first_name,
             '#LastName, [name="lastName"], [name="last_name"]': application.last_name,
@@ -615,65 +976,219 @@ class VisaMonitor {
                 await this.humanType(page, selector, value);
                 await this.delay(300);
             } catch (e) {
-                console.log(`Field ${selector} not found, skipping`);
+                log.debug(`Field ${selector} not found, skipping`);
             }
         }
     }
 
-    sendNotification(application, country, eventType) {
-        const config = this.countryConfigs[country];
+    // "2026-11-03 09:30 (lahore), 2026-11-05 (+2 more)"
+    describeSlots(slots, max = 3) {
+        const shown = slots.slice(0, max).map(slot =>
+            [slot.date || slot.label, slot.time, slot.center ? `(${slot.center})` : null].filter(Boolean).join(' '));
+        return shown.join(', ') + (slots.length > max ? ` (+${slots.length - max} more)` : '');
+    }
+
+    // detail is the reason shown for application_paused and check_failed
+    sendNotification(application, country, eventType, slots = [], detail = null) {
+        if (!this.settings.get('notification_enabled')) {
+            log.info(`🔕 Notifications are disabled - skipping ${eventType} for application ${application.id}`);
+            return;
+        }
+
+        const config = this.providers.get(country);
         let title, message;
         
-        if (eventType === 'slots_found') {
+        if (eventType === 'approval_required') {
+            title = `${config.flag} ${config.name.toUpperCase()} BOOKING NEEDS APPROVAL`;
+            message = `Slot held for ${application.first_name} ${application.last_name}: ${this.describeSlots(slots)}. ` +
+                `Approve in the dashboard within ${Math.round(this.approvalWindowMs / 60000)} minutes`;
+        } else if (eventType === 'slots_found') {
             title = `${config.flag} ${config.name.toUpperCase()} SLOTS FOUND!`;
             message = `${application.visa_type.toUpperCase()} visa slots available for ${application.first_name} ${application.last_name}`;
+            if (slots.length > 0) {
+                message += `: ${this.describeSlots(slots)}`;
+            }
+        } else if (eventType === 'application_paused') {
+            title = `${config.flag} ${config.name.toUpperCase()} MONITORING PAUSED`;
+            message = `Monitoring for ${application.first_name} ${application.last_name} was paused: ${detail}. ` +
+                `Check the portal account, update the password if needed and resume the application in the dashboard`;
+        } else if (eventType === 'check_failed') {
+            title = `${config.flag} ${config.name.toUpperCase()} CHECKS FAILING`;
+            message = `Checks for ${application.first_name} ${application.last_name} are failing: ${detail}. ` +
+                `Monitoring keeps retrying less often until it works again`;
         } else if (eventType === 'booking_success') {
             title = `${config.flag} ${config.name.toUpperCase()} BOOKING SUCCESS!`;
             message = `Successfully booked ${application.visa_type} appointment for ${application.first_name} ${application.last_name}`;
         }
 
-        // Desktop notifications (only in local environment)
-        if (!this.isCloud) {
+        // Delivery retries in the background so monitoring never waits on a channel
+        this.notifications.dispatch(application, {
+            eventType,
+            title,
+            message,
+            country,
+            applicationId: application.id
+        }).catch(error => {
+            log.error('❌ Notification dispatch failed', { applicationId: application.id, eventType, error });
+        });
+    }
+
+    // reason is stored on the session: 'stopped' (by a user), 'shutdown' or 'failed'
+    async stop(reason = 'stopped') {
+        this.cancelRestart();
+        if (reason !== 'failed') {
+            this.restartAttempts = 0;
+            this.stopGeneration++;
+        }
+        if (this.starting) {
+            await this.starting.catch(() => {});
+        }
+        if (!this.isRunning) return;
+
+        log.info('🛑 Stopping visa monitoring...');
+        this.isRunning = false;
+
+        if (this.monitorTimer) {
+            clearTimeout(this.monitorTimer);
+            this.monitorTimer = null;
+        }
+
+        for (const approvalId of Array.from(this.pendingApprovals.keys())) {
+            await this.expireApproval(approvalId, 'Monitoring stopped');
+        }
+
+        await this.closeBrowserPool();
+
+        if (this.sessionId) {
             try {
-                notifier.notify({
-                    title: title,
-                    message: message,
-                    sound: true,
-                    wait: false,
-                    timeout: 10
-                });
+                await this.db.closeMonitorSession(this.sessionId, reason, this.stats);
             } catch (error) {
-                console.log('Could not send desktop notification');
+                log.error('❌ Could not close monitor session', { error });
             }
+            this.lastSessionId = this.sessionId;
+            this.sessionId = null;
         }
 
-        // Console notification (always)
-        console.log(`🔔 ${title} - ${message}`);
+        log.info('✅ All browsers closed - monitoring stopped');
+        this.publish('monitoring_stopped', { reason, stats: this.getStats() });
     }
 
-    async stop() {
-        if (!this.isRunning) return;
+    async closeBrowserPool() {
+        await this.browserPool.stop();
+    }
 
-        console.log('🛑 Stopping visa monitoring...');
-        this.isRunning = false;
+    // Counters are written after every cycle so a crash loses at most one cycle
+    // Best-effort: a failure path must not fail again because the database is busy
+    async logSystemActivity(action, details) {
+        try {
+            await this.db.logActivity(null, 'system', action, details);
+        } catch (error) {
+            log.error(`❌ Could not log ${action}`, { error });
+        }
+    }
 
-        if (this.monitorInterval) {
-            clearInterval(this.monitorInterval);
-            this.monitorInterval = null;
+    async saveSession() {
+        if (!this.sessionId) return;
+        try {
+            await this.db.updateMonitorSession(this.sessionId, this.stats);
+        } catch (error) {
+            log.error('❌ Could not save monitor session', { error });
         }
+    }
 
-        // Close all browsers in pool
-        for (const browserInstance of this.browserPool) {
-            try {
-                await browserInstance.browser.close();
-                console.log(`✅ Closed browser ${browserInstance.index + 1}`);
-            } catch (error) {
-                console.error(`Error closing browser:`, error);
+    /**
+     * Called once on boot: closes sessions a crash left open, restores their
+     * counters, and starts monitoring again if it was running before.
+     * Resolves to true when monitoring was resumed.
+     */
+    async resume() {
+        const interrupted = await this.db.closeInterruptedMonitorSessions();
+        const session = await this.db.getLatestMonitorSession();
+
+        if (session && session.stats) {
+            for (const [country, counters] of Object.entries(session.stats)) {
+                Object.assign(this.ensureCountryStats(country), counters);
             }
+            this.lastSessionId = session.id;
+        }
+        if (interrupted > 0) {
+            log.warn(`⚠️ Previous monitoring session ended without a clean stop`);
+        }
+
+        if ((await this.db.getSetting('monitoring_enabled')) !== 'true') {
+            return false;
         }
-        this.browserPool = [];
 
-        console.log('✅ All browsers closed - monitoring stopped');
+        log.info('♻️ Monitoring was running before the restart - resuming...');
+        const generation = this.stopGeneration;
+        try {
+            await this.start({ resumedFrom: this.lastSessionId });
+            await this.db.logActivity(null, 'system', 'MONITORING_RESUMED',
+                `Monitoring resumed after restart on ${this.getEnvironment()}`);
+            return true;
+        } catch (error) {
+            if (generation === this.stopGeneration) {
+                await this.handleFailure(error);
+            }
+            return false;
+        }
+    }
+
+    // Stops a failed run and, when auto_restart_on_error is on, retries with exponential backoff
+    async handleFailure(error) {
+        log.error(`❌ Monitoring failed: ${error.message}`);
+        await this.stop('failed');
+        await this.logSystemActivity('MONITORING_FAILED', error.message);
+
+        const autoRestart = this.settings.get('auto_restart_on_error');
+        if (!autoRestart || this.restartAttempts >= this.maxRestartAttempts) {
+            log.warn(autoRestart ? `🛑 Giving up after ${this.restartAttempts} restart attempts` : '🛑 Auto-restart is disabled');
+            this.publish('monitoring_failed', { message: error.message, restartAt: null });
+            this.restartAttempts = 0;
+            return;
+        }
+
+        const delayMs = this.restartBaseDelayMs * Math.pow(2, this.restartAttempts);
+        this.restartAttempts++;
+        this.restartAt = new Date(Date.now() + delayMs);
+        this.restartTimer = setTimeout(() => {
+            this.restart().catch(err => log.error('❌ Automatic restart failed', { error: err }));
+        }, delayMs);
+
+        log.info(`🔁 Restarting monitoring in ${Math.round(delayMs / 1000)}s (attempt ${this.restartAttempts}/${this.maxRestartAttempts})`);
+        this.publish('monitoring_failed', { message: error.message, restartAt: this.restartAt, attempt: this.restartAttempts });
+    }
+
+    async restart() {
+        this.restartTimer = null;
+        this.restartAt = null;
+        const generation = this.stopGeneration;
+
+        try {
+            await this.start({ resumedFrom: this.lastSessionId });
+            await this.logSystemActivity('MONITORING_RESTARTED',
+                `Monitoring restarted automatically (attempt ${this.restartAttempts})`);
+        } catch (error) {
+            // Stopped by a user while this attempt was starting
+            if (generation === this.stopGeneration) {
+                await this.handleFailure(error);
+            }
+        }
+    }
+
+    cancelRestart() {
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+            this.restartAt = null;
+        }
+    }
+
+    // Pending automatic restart, or null
+    getRestartState() {
+        return this.restartAt
+            ? { at: this.restartAt, attempt: this.restartAttempts, maxAttempts: this.maxRestartAttempts }
+            : null;
     }
 
     delay(ms) {
@@ -682,18 +1197,22 @@ class VisaMonitor {
 
     // Status getters
     getStats() {
+        const total = { checks: 0, slotsFound: 0, bookings: 0 };
+
+        for (const countryStats of Object.values(this.stats)) {
+            total.checks += countryStats.checks;
+            total.slotsFound += countryStats.slotsFound;
+            total.bookings += countryStats.bookings;
+        }
+
         return {
             ...this.stats,
-            total: {
-                checks: this.stats.spain.checks + this.stats.italy.checks,
-                slotsFound: this.stats.spain.slotsFound + this.stats.italy.slotsFound,
-                bookings: this.stats.spain.bookings + this.stats.italy.bookings
-            }
+            total
         };
     }
 
     getActiveCountries() {
-        return this.isRunning ? Object.keys(this.countryConfigs) : [];
+        return this.isRunning ? this.providers.ids().filter(country => this.settings.isCountryEnabled(country)) : [];
     }
 
     getLastActivity() {